@@ -0,0 +1,371 @@
+/**
+ * Nest Translator markdown renderer — turns markdown-format translations into
+ * HTML. Shared by the server (/read pages, feeds) and the widget, so both show
+ * the same thing: require() it in Node, or load it as a script to get
+ * window.NestMarkdown.
+ *
+ * Covers what htmlToMarkdown in src/reader.js produces: headings, paragraphs,
+ * line breaks, bold, italic, links, images, lists, block quotes, tables,
+ * footnotes, code and rules. Everything the model wrote is escaped, and only
+ * http(s), mailto and relative URLs are kept, so translated text can't inject
+ * markup or script.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.NestMarkdown = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * The URL, escaped for an attribute, or "" if its scheme isn't allowed.
+   */
+  function safeUrl(url) {
+    url = String(url).trim();
+    // Control characters and whitespace can hide a scheme ("java\tscript:")
+    var compact = url.replace(/[\u0000- ]/g, "");
+    var scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !/^(https?|mailto)$/i.test(scheme[1])) return "";
+    return escapeHtml(url);
+  }
+
+  // Link targets may contain one level of parentheses (Wikipedia URLs)
+  var TARGET =
+    '\\(\\s*((?:[^()\\s]|\\([^()\\s]*\\))+)(?:\\s+"([^"]*)")?\\s*\\)';
+  var IMAGE = new RegExp("!\\[([^\\]]*)\\]" + TARGET, "g");
+  var LINK = new RegExp("\\[([^\\]]+)\\]" + TARGET, "g");
+
+  var FOOTNOTE_REF = /\[\^([\w-]+)\](?!:)/g;
+
+  // Inline constructs are swapped for placeholders while the surrounding
+  // text is escaped, then put back
+  var PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+  /**
+   * Render inline markdown: `code`, ![alt](src), [text](href), **bold**,
+   * *italic* / _italic_.
+   */
+  function renderInline(text) {
+    var parts = [];
+    function hold(html) {
+      parts.push(html);
+      return "\u0000" + (parts.length - 1) + "\u0000";
+    }
+
+    text = renderSpans(String(text).replace(/\u0000/g, ""), hold);
+
+    // Placeholders can nest (a link's label holds its own), so repeat
+    while (text.indexOf("\u0000") !== -1) {
+      text = text.replace(PLACEHOLDER, function (_m, i) {
+        return parts[Number(i)];
+      });
+    }
+    return text;
+  }
+
+  /**
+   * renderInline's work, leaving placeholders in: hold(html) stores html and
+   * returns its placeholder. A link's label goes through here again with the
+   * same hold, so the placeholders already in it (code, images) survive.
+   */
+  function renderSpans(text, hold) {
+    text = text.replace(/`([^`]+)`/g, function (_m, code) {
+      return hold("<code>" + escapeHtml(code) + "</code>");
+    });
+    text = text.replace(FOOTNOTE_REF, function (_m, id) {
+      var ref = escapeHtml(id);
+      return hold(
+        '<sup class="footnote-ref"><a href="#fn-' +
+          ref +
+          '" id="fnref-' +
+          ref +
+          '">' +
+          ref +
+          "</a></sup>"
+      );
+    });
+    text = text.replace(IMAGE, function (_m, alt, src, title) {
+      var url = safeUrl(src);
+      if (!url) return hold(escapeHtml(alt));
+      return hold(
+        '<img src="' +
+          url +
+          '" alt="' +
+          escapeHtml(alt) +
+          '"' +
+          (title ? ' title="' + escapeHtml(title) + '"' : "") +
+          ">"
+      );
+    });
+    text = text.replace(LINK, function (_m, label, href, title) {
+      var url = safeUrl(href);
+      var inner = renderSpans(label, hold);
+      if (!url) return hold(inner);
+      return hold(
+        '<a href="' +
+          url +
+          '"' +
+          (title ? ' title="' + escapeHtml(title) + '"' : "") +
+          ">" +
+          inner +
+          "</a>"
+      );
+    });
+
+    text = escapeHtml(text);
+    text = text.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>");
+    text = text.replace(/__(?=\S)([\s\S]*?\S)__/g, "<strong>$1</strong>");
+    text = text.replace(/\*(?=\S)([\s\S]*?\S)\*/g, "<em>$1</em>");
+    text = text.replace(
+      /(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g,
+      "$1<em>$2</em>"
+    );
+    return text;
+  }
+
+  var FENCE = /^\s*(```|~~~)/;
+  var HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+  var RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+  var QUOTE = /^\s{0,3}>\s?/;
+  var LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  var FOOTNOTE = /^\s{0,3}\[\^([\w-]+)\]:\s*(.*)$/;
+  var TABLE_ROW = /^\s*\|.*\|\s*$/;
+  var TABLE_SEPARATOR = /^\s*\|(\s*:?-{3,}:?\s*\|)+\s*$/;
+
+  function isBlockStart(line) {
+    return (
+      FOOTNOTE.test(line) ||
+      FENCE.test(line) ||
+      HEADING.test(line) ||
+      RULE.test(line) ||
+      QUOTE.test(line) ||
+      LIST_ITEM.test(line)
+    );
+  }
+
+  function isTableStart(lines, i) {
+    return (
+      TABLE_ROW.test(lines[i]) &&
+      i + 1 < lines.length &&
+      TABLE_SEPARATOR.test(lines[i + 1])
+    );
+  }
+
+  function tableCells(line) {
+    return line
+      .trim()
+      .replace(/^\|/, "")
+      .replace(/\|$/, "")
+      .split("|")
+      .map(function (cell) {
+        return renderInline(cell.trim());
+      });
+  }
+
+  /**
+   * Render a table starting at lines[start]. Returns { html, end }.
+   */
+  function renderTable(lines, start) {
+    var head = tableCells(lines[start]);
+    var rows = [];
+    var i = start + 2;
+    while (i < lines.length && TABLE_ROW.test(lines[i])) {
+      rows.push(tableCells(lines[i]));
+      i++;
+    }
+    function row(cells, tag) {
+      return (
+        "<tr>" +
+        cells
+          .map(function (cell) {
+            return "<" + tag + ">" + cell + "</" + tag + ">";
+          })
+          .join("") +
+        "</tr>"
+      );
+    }
+    return {
+      html:
+        "<table><thead>" +
+        row(head, "th") +
+        "</thead><tbody>" +
+        rows
+          .map(function (cells) {
+            return row(cells, "td");
+          })
+          .join("") +
+        "</tbody></table>",
+      end: i,
+    };
+  }
+
+  function indentOf(line) {
+    return line.match(/^\s*/)[0].length;
+  }
+
+  /**
+   * Render a list starting at lines[start]. Returns { html, end }.
+   */
+  function renderList(lines, start) {
+    var first = lines[start].match(LIST_ITEM);
+    var baseIndent = first[1].length;
+    var ordered = /\d/.test(first[2]);
+    var items = [];
+    var i = start;
+
+    while (i < lines.length) {
+      var match = lines[i].match(LIST_ITEM);
+      if (
+        !match ||
+        match[1].length !== baseIndent ||
+        /\d/.test(match[2]) !== ordered
+      ) {
+        break;
+      }
+      var body = [match[3]];
+      i++;
+      // Indented lines (nested lists, continued text) belong to the item
+      while (
+        i < lines.length &&
+        lines[i].trim() &&
+        (indentOf(lines[i]) > baseIndent || !isBlockStart(lines[i]))
+      ) {
+        body.push(lines[i].slice(Math.min(indentOf(lines[i]), baseIndent + 2)));
+        i++;
+      }
+      items.push(body);
+    }
+
+    var startAt = ordered ? Number(first[2].replace(/\D/g, "")) : 1;
+    var tag = ordered ? "ol" : "ul";
+    return {
+      html:
+        "<" +
+        tag +
+        (ordered && startAt !== 1 ? ' start="' + startAt + '"' : "") +
+        ">" +
+        items
+          .map(function (body) {
+            // The item's own text, then any nested blocks
+            var split = 1;
+            while (split < body.length && !isBlockStart(body[split])) split++;
+            return (
+              "<li>" +
+              renderInline(body.slice(0, split).join("\n")).replace(
+                /\n/g,
+                "<br>"
+              ) +
+              renderBlocks(body.slice(split)) +
+              "</li>"
+            );
+          })
+          .join("") +
+        "</" +
+        tag +
+        ">",
+      end: i,
+    };
+  }
+
+  function renderBlocks(lines) {
+    var out = [];
+    var i = 0;
+
+    while (i < lines.length) {
+      var line = lines[i];
+      var match;
+
+      if (!line.trim()) {
+        i++;
+      } else if ((match = line.match(FOOTNOTE))) {
+        var id = escapeHtml(match[1]);
+        out.push(
+          '<div class="footnote" id="fn-' +
+            id +
+            '"><a href="#fnref-' +
+            id +
+            '">' +
+            id +
+            "</a>. " +
+            renderInline(match[2]) +
+            "</div>"
+        );
+        i++;
+      } else if (isTableStart(lines, i)) {
+        var table = renderTable(lines, i);
+        out.push(table.html);
+        i = table.end;
+      } else if (FENCE.test(line)) {
+        var fence = line.match(FENCE)[1];
+        var code = [];
+        i++;
+        while (i < lines.length && lines[i].trim().indexOf(fence) !== 0) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        out.push("<pre><code>" + escapeHtml(code.join("\n")) + "</code></pre>");
+      } else if ((match = line.match(HEADING))) {
+        var level = match[1].length;
+        out.push(
+          "<h" + level + ">" + renderInline(match[2]) + "</h" + level + ">"
+        );
+        i++;
+      } else if (RULE.test(line)) {
+        out.push("<hr>");
+        i++;
+      } else if (QUOTE.test(line)) {
+        var quoted = [];
+        while (i < lines.length && QUOTE.test(lines[i])) {
+          quoted.push(lines[i].replace(QUOTE, ""));
+          i++;
+        }
+        out.push("<blockquote>" + renderBlocks(quoted) + "</blockquote>");
+      } else if (LIST_ITEM.test(line)) {
+        var list = renderList(lines, i);
+        out.push(list.html);
+        i = list.end;
+      } else {
+        var para = [];
+        while (
+          i < lines.length &&
+          lines[i].trim() &&
+          !isBlockStart(lines[i]) &&
+          !isTableStart(lines, i)
+        ) {
+          para.push(lines[i].trim());
+          i++;
+        }
+        out.push(
+          "<p>" + renderInline(para.join("\n")).replace(/\n/g, "<br>") + "</p>"
+        );
+      }
+    }
+    return out.join("\n");
+  }
+
+  /**
+   * Render markdown to sanitized HTML.
+   */
+  function renderMarkdown(text) {
+    if (!text) return "";
+    return renderBlocks(String(text).replace(/\r\n?/g, "\n").split("\n"));
+  }
+
+  return {
+    renderMarkdown: renderMarkdown,
+    renderInline: renderInline,
+    escapeHtml: escapeHtml,
+  };
+});
@@ -26,6 +26,25 @@
 
   var API_BASE = getApiBase();
 
+  // --- Resolve publication ---
+  // <script src=".../widget.js" data-publication="my-newsletter">, or
+  // window.NEST_TRANSLATOR_PUBLICATION. Without one the server picks the
+  // publication from the page's origin.
+  function getPublication() {
+    if (window.NEST_TRANSLATOR_PUBLICATION) {
+      return window.NEST_TRANSLATOR_PUBLICATION;
+    }
+    var scripts = document.querySelectorAll("script[src]");
+    for (var i = 0; i < scripts.length; i++) {
+      if (scripts[i].src.includes("widget.js")) {
+        return scripts[i].getAttribute("data-publication") || "";
+      }
+    }
+    return "";
+  }
+
+  var PUBLICATION = getPublication();
+
   // --- Load CSS early (doesn't need DOM content) ---
   if (!document.querySelector('link[href*="widget.css"]')) {
     var link = document.createElement("link");
@@ -111,18 +130,28 @@
     };
 
     var currentLang = "en";
+    // Bumped on every switch, so a stream the reader has moved on from
+    // (to English or another language) stops writing to the page
+    var switchCount = 0;
 
-    // --- Build toggle UI ---
+    // --- Build toggle UI (English first, then the server's languages) ---
     var toggle = document.createElement("div");
     toggle.className = "nest-translator-toggle";
     toggle.innerHTML =
       '<button class="nest-lang-btn active" data-lang="en">English</button>' +
-      '<div class="nest-translator-spinner"></div>' +
-      '<button class="nest-lang-btn" data-lang="es">Espa\u00f1ol</button>';
+      '<div class="nest-translator-spinner"></div>';
     mount.appendChild(toggle);
 
-    var btnEn = toggle.querySelector('[data-lang="en"]');
-    var btnEs = toggle.querySelector('[data-lang="es"]');
+    function addLangButton(lang) {
+      var btn = document.createElement("button");
+      btn.className = "nest-lang-btn";
+      btn.setAttribute("data-lang", lang.code);
+      btn.textContent = lang.name;
+      btn.addEventListener("click", function () {
+        switchLang(lang.code);
+      });
+      toggle.appendChild(btn);
+    }
 
     // --- Add fade classes to content elements ---
     [titleEl, subtitleEl, contentEl].forEach(function (el) {
@@ -148,30 +177,56 @@
       }, 300);
     }
 
-    // --- Fetch translation ---
-    function fetchTranslation() {
-      if (sessionCache[postId]) {
-        return Promise.resolve(sessionCache[postId]);
+    // --- Fetch translation (streamed; onPartial gets progress events) ---
+    function fetchTranslation(lang, onPartial) {
+      var cacheKey = lang + ":" + postId;
+      if (sessionCache[cacheKey]) {
+        return Promise.resolve(sessionCache[cacheKey]);
       }
 
       var payload = {
+        publication: PUBLICATION || undefined,
         postId: postId,
+        lang: lang,
         title: original.title.replace(/<[^>]*>/g, ""),
         subtitle: original.subtitle.replace(/<[^>]*>/g, ""),
-        content: contentEl ? contentEl.innerText || contentEl.textContent : "",
+        // Send the post's HTML so the server can translate it in place and
+        // keep images, embeds, lists and buttons intact
+        contentHtml: original.content,
       };
 
-      return fetch(API_BASE + "/api/translate", {
+      var jobId = null;
+      function onEvent(event, data) {
+        if (event === "job") jobId = data.id;
+        else onPartial(event, data);
+      }
+
+      return fetch(API_BASE + "/api/translate/stream", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(payload),
       })
         .then(function (res) {
           if (!res.ok) throw new Error("Translation request failed");
-          return res.json();
+          return readEvents(res, onEvent);
+        })
+        .catch(function (err) {
+          // The job carries on server-side if the stream drops (or an attempt
+          // fails and is retried): wait for it, then fetch the cached result
+          if (!jobId) throw err;
+          return waitForJob(jobId).then(function () {
+            return fetch(API_BASE + "/api/translate", {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify(payload),
+            }).then(function (res) {
+              if (!res.ok) throw new Error("Translation request failed");
+              return res.json();
+            });
+          });
         })
         .then(function (data) {
-          sessionCache[postId] = data;
+          sessionCache[cacheKey] = data;
           return data;
         });
     }
@@ -180,71 +235,231 @@
     function switchLang(lang) {
       if (lang === currentLang) return;
       currentLang = lang;
-
-      btnEn.classList.toggle("active", lang === "en");
-      btnEs.classList.toggle("active", lang === "es");
+      setActive(lang);
+      var thisSwitch = ++switchCount;
+      function isCurrent() {
+        return thisSwitch === switchCount;
+      }
 
       if (lang === "en") {
+        toggle.classList.remove("loading");
         swapContent(original);
         return;
       }
 
       toggle.classList.add("loading");
 
-      fetchTranslation()
+      // Fill in segments as they stream in; the final result replaces them
+      var streamed = false;
+      function showPartial(event, data) {
+        if (!isCurrent()) return;
+        streamed = true;
+        if (event === "start") {
+          contentEl.innerHTML = data.contentHtml;
+        } else if (event === "segment" && data.id === "title") {
+          if (titleEl) titleEl.textContent = data.text;
+        } else if (event === "segment" && data.id === "subtitle") {
+          if (subtitleEl) subtitleEl.textContent = data.text;
+        } else if (event === "segment") {
+          var segEl = contentEl.querySelector(
+            '[data-nest-seg="' + data.id + '"]'
+          );
+          if (segEl) segEl.innerHTML = data.html;
+        }
+      }
+
+      fetchTranslation(lang, showPartial)
         .then(function (data) {
-          swapContent({
-            title: data.title,
-            subtitle: data.subtitle,
-            content: formatTranslatedContent(data.content),
+          if (data.format === "html") return data;
+          return loadMarkdown().then(function (markdown) {
+            return Object.assign({}, data, {
+              contentHtml: markdown.renderMarkdown(data.content),
+            });
           });
         })
+        .then(function (data) {
+          // Still cached for when the reader comes back to this language
+          if (!isCurrent()) return;
+          var translated = {
+            title: escapeHtml(data.title || ""),
+            subtitle: escapeHtml(data.subtitle || ""),
+            // Paid posts only show the preview here, so end it with the
+            // paywall notice in the reader's language
+            content: data.paywall
+              ? data.contentHtml + paywallNotice(data.paywall)
+              : data.contentHtml,
+          };
+          if (!streamed) {
+            swapContent(translated);
+            return;
+          }
+          // Already on screen piece by piece, so no fade
+          if (titleEl && translated.title) titleEl.innerHTML = translated.title;
+          if (subtitleEl && translated.subtitle) {
+            subtitleEl.innerHTML = translated.subtitle;
+          }
+          if (translated.content) contentEl.innerHTML = translated.content;
+        })
         .catch(function (err) {
           console.error("[NestTranslator]", err);
+          if (!isCurrent()) return;
+          // Fall back to English (another language may be on screen)
           currentLang = "en";
-          btnEn.classList.add("active");
-          btnEs.classList.remove("active");
+          setActive("en");
+          swapContent(original);
         })
         .finally(function () {
-          toggle.classList.remove("loading");
+          if (isCurrent()) toggle.classList.remove("loading");
         });
     }
 
-    btnEn.addEventListener("click", function () {
+    function setActive(lang) {
+      var buttons = toggle.querySelectorAll(".nest-lang-btn");
+      for (var i = 0; i < buttons.length; i++) {
+        buttons[i].classList.toggle(
+          "active",
+          buttons[i].getAttribute("data-lang") === lang
+        );
+      }
+    }
+
+    toggle.querySelector('[data-lang="en"]').addEventListener("click", function () {
       switchLang("en");
     });
-    btnEs.addEventListener("click", function () {
-      switchLang("es");
-    });
 
-    console.log("[NestTranslator] Initialized on", postId);
+    // Only languages with a servable translation (or that can be made one)
+    fetch(
+      API_BASE +
+        "/api/languages?postId=" +
+        encodeURIComponent(postId) +
+        (PUBLICATION ? "&publication=" + encodeURIComponent(PUBLICATION) : "")
+    )
+      .then(function (res) {
+        if (!res.ok) throw new Error("Languages request failed");
+        return res.json();
+      })
+      .then(function (data) {
+        if (!data.languages.length) {
+          mount.remove();
+          return;
+        }
+        data.languages.forEach(addLangButton);
+        console.log("[NestTranslator] Initialized on", postId);
+      })
+      .catch(function (err) {
+        console.error("[NestTranslator]", err);
+        mount.remove();
+      });
   }
 
   /**
-   * Convert markdown-ish translated content back into HTML paragraphs.
+   * Read a Server-Sent Events response, passing progress events to onEvent.
+   * Resolves with the "done" payload; rejects on "error" or if the stream
+   * ends before "done".
    */
-  function formatTranslatedContent(text) {
-    if (!text) return "";
-    if (text.includes("<p>") || text.includes("<div>")) return text;
-
-    return text
-      .split(/\n\n+/)
-      .map(function (para) {
-        var html = para.trim();
-        if (!html) return "";
-
-        if (html.startsWith("## ")) {
-          return "<h2>" + processInline(html.slice(3)) + "</h2>";
+  function readEvents(res, onEvent) {
+    var reader = res.body.getReader();
+    var decoder = new TextDecoder();
+    var buffer = "";
+    var result = null;
+
+    function handle(block) {
+      var event = "message";
+      var data = "";
+      block.split("\n").forEach(function (line) {
+        if (line.indexOf("event: ") === 0) event = line.slice(7);
+        else if (line.indexOf("data: ") === 0) data += line.slice(6);
+      });
+      if (!data) return;
+
+      var payload = JSON.parse(data);
+      if (event === "error") throw new Error(payload.detail || payload.error);
+      if (event === "done") result = payload;
+      else onEvent(event, payload);
+    }
+
+    function pump() {
+      return reader.read().then(function (chunk) {
+        if (chunk.done) {
+          if (!result) throw new Error("Translation stream ended early");
+          return result;
         }
+        buffer += decoder.decode(chunk.value, { stream: true });
+        var blocks = buffer.split("\n\n");
+        buffer = blocks.pop();
+        blocks.forEach(handle);
+        return pump();
+      });
+    }
 
-        return "<p>" + processInline(html).replace(/\n/g, "<br>") + "</p>";
-      })
-      .join("\n");
+    return pump();
+  }
+
+  /**
+   * Poll a translation job until it finishes. Resolves when it's done;
+   * rejects if it failed for good.
+   */
+  function waitForJob(jobId) {
+    return new Promise(function (resolve, reject) {
+      function poll() {
+        fetch(API_BASE + "/api/jobs/" + encodeURIComponent(jobId))
+          .then(function (res) {
+            if (!res.ok) throw new Error("Job status request failed");
+            return res.json();
+          })
+          .then(function (job) {
+            if (job.status === "done") resolve(job);
+            else if (job.status === "failed") {
+              reject(new Error(job.error || "Translation failed"));
+            } else setTimeout(poll, 3000);
+          })
+          .catch(reject);
+      }
+      poll();
+    });
+  }
+
+  /**
+   * Load the shared markdown renderer (/markdown.js, also used by the
+   * server's /read pages) the first time a markdown translation is shown.
+   */
+  var markdownLoader = null;
+  function loadMarkdown() {
+    if (window.NestMarkdown) return Promise.resolve(window.NestMarkdown);
+    if (!markdownLoader) {
+      markdownLoader = new Promise(function (resolve, reject) {
+        var script = document.createElement("script");
+        script.src = API_BASE + "/markdown.js";
+        script.onload = function () {
+          resolve(window.NestMarkdown);
+        };
+        script.onerror = function () {
+          markdownLoader = null;
+          reject(new Error("Failed to load markdown renderer"));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return markdownLoader;
+  }
+
+  function paywallNotice(paywall) {
+    return (
+      '<div class="nest-paywall-notice"><p>' +
+      escapeHtml(paywall.notice) +
+      '</p><a href="' +
+      escapeHtml(paywall.url) +
+      '">' +
+      escapeHtml(paywall.cta) +
+      " &rarr;</a></div>"
+    );
   }
 
-  function processInline(text) {
-    text = text.replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>");
-    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-    return text;
+  function escapeHtml(str) {
+    return str
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
   }
 })();
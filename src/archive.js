@@ -0,0 +1,82 @@
+const cheerio = require("cheerio");
+const { listTranslations, getHistory, versionStatus } = require("./translator");
+const { slugFromPostId } = require("./reader");
+const { isServable } = require("./settings");
+
+/**
+ * Newest translation of a post that may be shown to the public, or null. It
+ * may be of an older revision of the post; /read translates the current one.
+ */
+function latestServable(publication, postId, lang) {
+  return (
+    getHistory(publication, postId, lang).find((v) =>
+      isServable(publication, versionStatus(v))
+    ) || null
+  );
+}
+
+/**
+ * Languages a post has a public translation in, in the publication's order.
+ */
+function translatedLanguages(publication, postId) {
+  return publication.languages.filter((lang) =>
+    latestServable(publication, postId, lang)
+  );
+}
+
+/**
+ * Posts of a publication with a public translation in lang, most recently
+ * translated first: [{ postId, slug, version, firstTranslatedAt }]. Only
+ * /p/<slug> posts are listed, since those are the ones with a /read page.
+ */
+function listTranslatedPosts(publication, lang) {
+  return listTranslations()
+    .filter((t) => t.publication === publication.id && t.lang === lang)
+    .map(({ postId }) => {
+      const slug = slugFromPostId(postId);
+      const version = slug && latestServable(publication, postId, lang);
+      if (!version) return null;
+      const history = getHistory(publication, postId, lang);
+      return {
+        postId,
+        slug,
+        version,
+        // The first translation is usually made when the post comes out
+        firstTranslatedAt: history[history.length - 1].createdAt,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.firstTranslatedAt.localeCompare(a.firstTranslatedAt));
+}
+
+function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+}
+
+function versionText({ title, subtitle, content, contentHtml }) {
+  const body = contentHtml ? cheerio.load(contentHtml).text() : content;
+  return normalizeText([title, subtitle, body].join("\n"));
+}
+
+/**
+ * Posts from listTranslatedPosts whose translation contains every word of
+ * the query, ignoring case and accents.
+ */
+function searchTranslatedPosts(posts, query) {
+  const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+  if (!terms.length) return posts;
+  return posts.filter(({ version }) => {
+    const text = versionText(version);
+    return terms.every((term) => text.includes(term));
+  });
+}
+
+module.exports = {
+  latestServable,
+  translatedLanguages,
+  listTranslatedPosts,
+  searchTranslatedPosts,
+};
@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+// Keys for server-to-server callers (pre-translate jobs, scripts)
+const API_KEYS = (process.env.API_KEYS || "")
+  .split(",")
+  .map((k) => k.trim())
+  .filter(Boolean);
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Methods that never change anything
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Whether a request was made by a page of this server (its Origin header
+ * names this host).
+ */
+function isSameOrigin(req) {
+  try {
+    return new URL(req.get("Origin")).host === req.get("Host");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Express middleware for admin endpoints and pages.
+ * Accepts `Authorization: Bearer <ADMIN_TOKEN>`, or HTTP Basic auth with
+ * ADMIN_TOKEN as the password so browsers can open the editor pages.
+ * Disabled when ADMIN_TOKEN is unset.
+ *
+ * Browsers send Basic credentials along with requests other sites make (a
+ * cross-site form post), so changes made with Basic auth must come from this
+ * server's own pages. Request bodies must be JSON either way.
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res
+      .status(503)
+      .json({ error: "Admin API is disabled (ADMIN_TOKEN not set)" });
+  }
+
+  const header = req.headers.authorization || "";
+  let token = "";
+  if (header.startsWith("Bearer ")) {
+    token = header.slice(7);
+  } else if (header.startsWith("Basic ")) {
+    const decoded = Buffer.from(header.slice(6), "base64").toString();
+    token = decoded.slice(decoded.indexOf(":") + 1);
+  }
+
+  if (!safeEqual(token, ADMIN_TOKEN)) {
+    res.set("WWW-Authenticate", 'Basic realm="Nest Translator"');
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (!SAFE_METHODS.includes(req.method)) {
+    if (header.startsWith("Basic ") && !isSameOrigin(req)) {
+      return res.status(403).json({ error: "Cross-origin request refused" });
+    }
+    // null when there's no body at all
+    if (req.is("application/json") === false) {
+      return res
+        .status(415)
+        .json({ error: "Request body must be application/json" });
+    }
+  }
+  next();
+}
+
+/**
+ * Whether the request carries a valid `X-API-Key`.
+ */
+function hasApiKey(req) {
+  const key = req.get("X-API-Key") || "";
+  return Boolean(key) && API_KEYS.some((k) => safeEqual(key, k));
+}
+
+/**
+ * Express middleware for server-to-server endpoints. Requires an `X-API-Key`
+ * listed in API_KEYS; disabled when API_KEYS is unset.
+ */
+function requireApiKey(req, res, next) {
+  if (!API_KEYS.length) {
+    return res
+      .status(503)
+      .json({ error: "API keys are not configured (API_KEYS not set)" });
+  }
+  if (!hasApiKey(req)) {
+    return res.status(401).json({ error: "Invalid or missing API key" });
+  }
+  next();
+}
+
+module.exports = { requireAdmin, requireApiKey, hasApiKey, safeEqual };
@@ -0,0 +1,116 @@
+/**
+ * Split markdown-ish text into chunks of at most maxChars, cutting only at
+ * paragraph boundaries and preferring to start a new chunk at a heading.
+ * A single paragraph longer than maxChars becomes a chunk of its own.
+ */
+function splitMarkdown(text, maxChars) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  for (const block of text.split(/\n{2,}/)) {
+    const startsSection = /^#{1,6} /.test(block);
+    const full = size + block.length > maxChars;
+    if (current.length && (full || (startsSection && size > maxChars / 2))) {
+      chunks.push(current.join("\n\n"));
+      current = [];
+      size = 0;
+    }
+    current.push(block);
+    size += block.length + 2;
+  }
+  if (current.length) chunks.push(current.join("\n\n"));
+
+  return chunks;
+}
+
+/**
+ * Group items into consecutive batches whose total size stays under maxChars.
+ */
+function groupBySize(items, maxChars, sizeOf) {
+  const groups = [];
+  let current = [];
+  let size = 0;
+
+  for (const item of items) {
+    const itemSize = sizeOf(item);
+    if (current.length && size + itemSize > maxChars) {
+      groups.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(item);
+    size += itemSize;
+  }
+  if (current.length) groups.push(current);
+
+  return groups;
+}
+
+/**
+ * Split a markdown chunk in two: between paragraphs if it has several,
+ * otherwise between sentences. Returns null if it can't be split further.
+ */
+function splitMarkdownInHalf(chunk) {
+  const paragraphs = chunk.split(/\n{2,}/);
+  if (paragraphs.length > 1) {
+    const mid = Math.ceil(paragraphs.length / 2);
+    return {
+      parts: [
+        paragraphs.slice(0, mid).join("\n\n"),
+        paragraphs.slice(mid).join("\n\n"),
+      ],
+      separator: "\n\n",
+    };
+  }
+
+  const sentences = chunk.match(/[^.!?]+(?:[.!?]+\s*|$)/g) || [];
+  if (sentences.length > 1) {
+    const mid = Math.ceil(sentences.length / 2);
+    return {
+      parts: [
+        sentences.slice(0, mid).join("").trim(),
+        sentences.slice(mid).join("").trim(),
+      ],
+      separator: " ",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Map over items with at most `limit` calls to fn in flight, preserving order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    // Stop picking up new items once any call has failed
+    while (next < items.length && !failed) {
+      const i = next++;
+      try {
+        results[i] = await fn(items[i], i);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++)
+    workers.push(worker());
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  splitMarkdown,
+  groupBySize,
+  splitMarkdownInHalf,
+  mapWithConcurrency,
+};
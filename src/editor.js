@@ -0,0 +1,412 @@
+/**
+ * Render the editor page: a list of cached translations, with re-translation,
+ * deletion and cache export/import, and a side-by-side, paragraph-by-paragraph
+ * editor. All data comes from the /api/admin endpoints (same-origin, so the
+ * browser reuses the page's Basic auth credentials).
+ */
+function renderEditorPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Translation editor — Nest Translator</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      background: #faf8f5;
+      color: #1a1a1a;
+      font-size: 14px;
+      line-height: 1.5;
+    }
+    header {
+      padding: 16px 24px;
+      border-bottom: 1px solid #e8e4df;
+      background: #ffffff;
+      display: flex;
+      align-items: center;
+      gap: 16px;
+    }
+    header h1 { font-size: 18px; font-weight: 600; }
+    main { padding: 24px; }
+    table { width: 100%; border-collapse: collapse; background: #ffffff; }
+    th, td {
+      text-align: left;
+      vertical-align: top;
+      padding: 10px 12px;
+      border-bottom: 1px solid #e8e4df;
+    }
+    th { font-weight: 600; color: #7a756f; }
+    tr.post-row { cursor: pointer; }
+    tr.post-row:hover { background: #f5f1ec; }
+    .badge {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 100px;
+      background: #f5f1ec;
+      color: #6b6560;
+      font-size: 12px;
+    }
+    .badge.approved { background: #c4956a; color: #ffffff; }
+    .badge.review { background: #e8c9a8; color: #3d3832; }
+    .badge.flagged { background: #f3d6cd; color: #a8452e; }
+    header label { margin-left: auto; color: #6b6560; }
+    .source { width: 45%; white-space: pre-wrap; color: #3d3832; }
+    textarea {
+      width: 100%;
+      min-height: 80px;
+      font: inherit;
+      padding: 8px;
+      border: 1px solid #e8e4df;
+      border-radius: 4px;
+      resize: vertical;
+    }
+    textarea.edited { border-color: #c4956a; }
+    button {
+      border: none;
+      background: #f5f1ec;
+      color: #3d3832;
+      padding: 6px 14px;
+      border-radius: 100px;
+      cursor: pointer;
+      font: inherit;
+    }
+    button.primary { background: #c4956a; color: #ffffff; }
+    button:disabled { opacity: 0.5; cursor: default; }
+    .toolbar { display: flex; gap: 8px; align-items: center; margin-bottom: 16px; }
+    .status { color: #7a756f; }
+    .warning { color: #a8452e; margin-bottom: 16px; }
+    tr.flagged .source { border-left: 3px solid #a8452e; }
+    .hash { font-family: ui-monospace, Menlo, monospace; color: #7a756f; }
+    button.danger { background: #f3d6cd; color: #a8452e; }
+    .toolbar .spacer { margin-left: auto; }
+    .toolbar a { color: #3d3832; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>Translation editor</h1>
+    <span class="status" id="status"></span>
+    <label><input type="checkbox" id="require-approval"> Only publish approved translations of <select id="settings-publication"></select></label>
+  </header>
+  <main id="main"></main>
+  <script>
+    (function () {
+      "use strict";
+
+      var main = document.getElementById("main");
+      var statusEl = document.getElementById("status");
+
+      function esc(str) {
+        return String(str == null ? "" : str)
+          .replace(/&/g, "&amp;")
+          .replace(/</g, "&lt;")
+          .replace(/>/g, "&gt;")
+          .replace(/"/g, "&quot;");
+      }
+
+      function api(method, url, body) {
+        return fetch(url, {
+          method: method,
+          headers: body ? { "Content-Type": "application/json" } : {},
+          body: body ? JSON.stringify(body) : undefined,
+        }).then(function (res) {
+          return res.json().then(function (data) {
+            if (!res.ok) throw new Error(data.error || "Request failed");
+            return data;
+          });
+        });
+      }
+
+      function setStatus(text) {
+        statusEl.textContent = text;
+      }
+
+      function query(publication, postId, lang, hash) {
+        return (
+          "?publication=" + encodeURIComponent(publication) +
+          "&postId=" + encodeURIComponent(postId) +
+          "&lang=" + encodeURIComponent(lang) +
+          (hash ? "&hash=" + encodeURIComponent(hash) : "")
+        );
+      }
+
+      function formatSize(bytes) {
+        return bytes < 1024 ? bytes + " B" : Math.round(bytes / 1024) + " KB";
+      }
+
+      function describeRetranslation(result) {
+        return (
+          "Queued " + result.jobs.length + " re-translations" +
+          (result.failed.length
+            ? "; " + result.failed.length + " failed (" + result.failed[0].error + ")"
+            : "")
+        );
+      }
+
+      function qualityBadge(issues) {
+        if (!issues) return "";
+        if (!issues.length) return '<span class="badge">passed</span>';
+        return '<span class="badge flagged">' + esc(issues.join(", ")) + "</span>";
+      }
+
+      // --- Post list ---
+      function showList() {
+        setStatus("Loading…");
+        api("GET", "/api/admin/translations").then(function (data) {
+          setStatus(data.translations.length + " cached translations");
+          var outdated = data.translations.filter(function (t) {
+            return t.outdated;
+          }).length;
+          var rows = data.translations.map(function (t, i) {
+            return (
+              '<tr class="post-row" data-i="' + i + '">' +
+              '<td><input type="checkbox" data-select="' + i + '"></td>' +
+              "<td>" + esc(t.title) + "<br><small>" + esc(t.postId) + "</small></td>" +
+              "<td>" + esc(t.publication) + "</td>" +
+              "<td>" + esc(t.lang) + "</td>" +
+              "<td>" + esc(new Date(t.createdAt).toLocaleString()) +
+              (t.outdated ? ' <span class="badge">older prompt</span>' : "") + "</td>" +
+              "<td>" + esc(formatSize(t.size)) + "</td>" +
+              '<td class="hash" title="' + esc(t.sourceHash) + '">' + esc(t.sourceHash.slice(0, 8)) + "</td>" +
+              '<td><span class="badge ' + esc(t.status) + '">' + esc(t.status) + "</span></td>" +
+              "<td>" + qualityBadge(t.qualityIssues) + "</td>" +
+              "</tr>"
+            );
+          });
+          main.innerHTML =
+            '<div class="toolbar">' +
+            '<button id="retranslate-selected" disabled>Re-translate selected</button>' +
+            '<button id="retranslate-outdated"' + (outdated ? "" : " disabled") + ">" +
+            "Re-translate " + outdated + " from older prompts</button>" +
+            '<span class="spacer"></span>' +
+            '<a href="/api/admin/cache/export" download>Export cache</a>' +
+            '<button id="import">Import…</button>' +
+            '<input type="file" id="import-file" accept="application/json" hidden>' +
+            "</div>" +
+            "<table><tr><th></th><th>Post</th><th>Publication</th><th>Language</th><th>Translated</th><th>Size</th><th>Source</th><th>Status</th><th>Checks</th></tr>" +
+            rows.join("") +
+            "</table>";
+          Array.prototype.forEach.call(main.querySelectorAll(".post-row"), function (row) {
+            row.addEventListener("click", function (event) {
+              if (event.target.hasAttribute("data-select")) return;
+              var t = data.translations[Number(row.getAttribute("data-i"))];
+              showEditor(t.publication, t.postId, t.lang);
+            });
+          });
+
+          function selected() {
+            return Array.prototype.filter
+              .call(main.querySelectorAll("[data-select]"), function (box) {
+                return box.checked;
+              })
+              .map(function (box) {
+                var t = data.translations[Number(box.getAttribute("data-select"))];
+                return { publication: t.publication, postId: t.postId, lang: t.lang };
+              });
+          }
+          var retranslateSelected = document.getElementById("retranslate-selected");
+          Array.prototype.forEach.call(main.querySelectorAll("[data-select]"), function (box) {
+            box.addEventListener("change", function () {
+              retranslateSelected.disabled = !selected().length;
+            });
+          });
+          function retranslate(body) {
+            setStatus("Queueing…");
+            api("POST", "/api/admin/translations/retranslate", body).then(function (result) {
+              setStatus(describeRetranslation(result));
+            }).catch(function (err) {
+              setStatus(err.message);
+            });
+          }
+          retranslateSelected.addEventListener("click", function () {
+            retranslate({ translations: selected() });
+          });
+          document.getElementById("retranslate-outdated").addEventListener("click", function () {
+            retranslate({ outdated: true });
+          });
+
+          // Imports are merged into the cache; replacing it is left to the API
+          var importFile = document.getElementById("import-file");
+          document.getElementById("import").addEventListener("click", function () {
+            importFile.click();
+          });
+          importFile.addEventListener("change", function () {
+            var file = importFile.files[0];
+            if (!file) return;
+            setStatus("Importing…");
+            file.text().then(function (text) {
+              return api("POST", "/api/admin/cache/import", JSON.parse(text));
+            }).then(function (result) {
+              showList();
+              alert(
+                "Imported " + result.imported + " translations" +
+                (result.skipped.length ? ", skipped " + result.skipped.length : "")
+              );
+            }).catch(function (err) {
+              setStatus(err.message);
+            });
+          });
+        }).catch(function (err) {
+          setStatus(err.message);
+        });
+      }
+
+      // --- Side-by-side editor ---
+      function showEditor(publication, postId, lang) {
+        setStatus("Loading…");
+        api("GET", "/api/admin/translation" + query(publication, postId, lang)).then(function (t) {
+          setStatus(
+            t.status === "approved"
+              ? "Approved " + new Date(t.approvedAt).toLocaleString()
+              : t.status === "review"
+              ? "In review"
+              : "Machine draft (" + t.model + ")"
+          );
+          // Failed quality checks, with the paragraphs they point at marked
+          var failed = t.quality.checks.filter(function (check) {
+            return !check.passed;
+          });
+          var warnings = failed.map(function (check) {
+            return "Check “" + esc(check.name) + "” failed: " + esc(check.message);
+          });
+          var flagged = {};
+          failed.forEach(function (check) {
+            (check.paragraphs || []).forEach(function (id) {
+              flagged[id] = true;
+            });
+          });
+          var rows = t.paragraphs.map(function (p) {
+            return (
+              (flagged[p.id] ? '<tr class="flagged">' : "<tr>") +
+              '<td class="source">' + esc(p.source) + "</td>" +
+              '<td><textarea data-id="' + esc(p.id) + '">' + esc(p.translated) + "</textarea></td>" +
+              '<td><button data-regenerate="' + esc(p.id) + '">Regenerate</button></td>' +
+              "</tr>"
+            );
+          });
+          main.innerHTML =
+            '<div class="toolbar">' +
+            '<button id="back">&larr; All posts</button>' +
+            '<button id="review">Save as in review</button>' +
+            '<button class="primary" id="approve">Save &amp; approve</button>' +
+            '<button id="retranslate">Re-translate</button>' +
+            '<button class="danger" id="delete">Delete</button>' +
+            "<strong>" + esc(t.title) + "</strong> <span class=\\"badge\\">" + esc(t.lang) + "</span>" +
+            "</div>" +
+            (warnings.length ? '<div class="warning">' + warnings.join("<br>") + "</div>" : "") +
+            "<table><tr><th>English</th><th>Translation</th><th></th></tr>" +
+            rows.join("") +
+            "</table>";
+
+          var edits = {};
+          Array.prototype.forEach.call(main.querySelectorAll("textarea"), function (area) {
+            area.addEventListener("input", function () {
+              edits[area.getAttribute("data-id")] = area.value;
+              area.classList.add("edited");
+            });
+          });
+
+          Array.prototype.forEach.call(main.querySelectorAll("[data-regenerate]"), function (btn) {
+            btn.addEventListener("click", function () {
+              var id = btn.getAttribute("data-regenerate");
+              btn.disabled = true;
+              api("POST", "/api/admin/translation/regenerate", {
+                publication: publication,
+                postId: postId,
+                lang: lang,
+                sourceHash: t.sourceHash,
+                id: id,
+              }).then(function (data) {
+                var area = main.querySelector('textarea[data-id="' + id + '"]');
+                area.value = data.text;
+                edits[id] = data.text;
+                area.classList.add("edited");
+              }).catch(function (err) {
+                setStatus(err.message);
+              }).finally(function () {
+                btn.disabled = false;
+              });
+            });
+          });
+
+          document.getElementById("back").addEventListener("click", showList);
+          function save(status) {
+            setStatus("Saving…");
+            api("PUT", "/api/admin/translation" + query(publication, postId, lang), {
+              sourceHash: t.sourceHash,
+              edits: edits,
+              status: status,
+            }).then(function () {
+              showEditor(publication, postId, lang);
+            }).catch(function (err) {
+              setStatus(err.message);
+            });
+          }
+          document.getElementById("review").addEventListener("click", function () {
+            save("review");
+          });
+          document.getElementById("approve").addEventListener("click", function () {
+            save("approved");
+          });
+          document.getElementById("retranslate").addEventListener("click", function () {
+            api("POST", "/api/admin/translation/retranslate", {
+              publication: publication,
+              postId: postId,
+              lang: lang,
+            }).then(function (job) {
+              setStatus("Re-translation queued (job " + job.id + ")");
+            }).catch(function (err) {
+              setStatus(err.message);
+            });
+          });
+          document.getElementById("delete").addEventListener("click", function () {
+            if (!confirm("Delete every cached version of this translation?")) return;
+            api("DELETE", "/api/admin/translation" + query(publication, postId, lang)).then(function () {
+              showList();
+            }).catch(function (err) {
+              setStatus(err.message);
+            });
+          });
+        }).catch(function (err) {
+          setStatus(err.message);
+        });
+      }
+
+      // --- Publication setting: gate public serving on approval ---
+      var requireApproval = document.getElementById("require-approval");
+      var settingsPublication = document.getElementById("settings-publication");
+      function settingsUrl() {
+        return "/api/admin/settings?publication=" + encodeURIComponent(settingsPublication.value);
+      }
+      function loadSettings() {
+        api("GET", settingsUrl()).then(function (settings) {
+          requireApproval.checked = settings.requireApproval;
+        });
+      }
+      api("GET", "/api/admin/publications").then(function (data) {
+        settingsPublication.innerHTML = data.publications.map(function (p) {
+          return '<option value="' + esc(p.id) + '"' +
+            (p.id === data.defaultPublication ? " selected" : "") + ">" +
+            esc(p.name) + "</option>";
+        }).join("");
+        loadSettings();
+      });
+      settingsPublication.addEventListener("change", loadSettings);
+      requireApproval.addEventListener("change", function () {
+        api("PUT", settingsUrl(), {
+          requireApproval: requireApproval.checked,
+        }).catch(function (err) {
+          setStatus(err.message);
+        });
+      });
+
+      showList();
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = { renderEditorPage };
@@ -0,0 +1,91 @@
+const { renderPaywallNotice } = require("./template");
+
+/**
+ * Render a publication's translated posts as an RSS 2.0 feed.
+ *
+ * items: [{ post, translated, link }], newest first, where post is a
+ * fetchPost result (for its metadata), translated the cached translation with
+ * contentHtml, and link the absolute URL of its /read page.
+ */
+function renderFeed({ publication, language, feedUrl, siteUrl, items }) {
+  const tagline = publication.branding.tagline[language.code];
+  const latest = items.find(({ post }) => post.meta.datePublished);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escXml(`${publication.name} (${language.name})`)}</title>
+    <link>${escXml(siteUrl)}</link>
+    <description>${escXml(tagline || publication.description)}</description>
+    <language>${escXml(language.locale)}</language>
+    <generator>Nest Translator</generator>
+    <atom:link href="${escXml(feedUrl)}" rel="self" type="application/rss+xml"/>
+    ${latest ? `<lastBuildDate>${rfc822(latest.post.meta.datePublished)}</lastBuildDate>` : ""}
+${items.map((item) => renderItem({ ...item, language })).join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+function renderItem({ post, translated, link, language }) {
+  const { authors, datePublished, image } = post.meta;
+  const content = post.truncated
+    ? translated.contentHtml +
+      renderPaywallNotice({ language, url: post.originalUrl })
+    : translated.contentHtml;
+  return `    <item>
+      <title>${escXml(translated.title)}</title>
+      <link>${escXml(link)}</link>
+      <guid isPermaLink="true">${escXml(link)}</guid>
+      ${translated.subtitle ? `<description>${escXml(translated.subtitle)}</description>` : ""}
+      ${authors ? `<dc:creator>${escXml(authors)}</dc:creator>` : ""}
+      ${datePublished ? `<pubDate>${rfc822(datePublished)}</pubDate>` : ""}
+      ${image ? `<media:content url="${escXml(image)}" medium="image"/>` : ""}
+      <content:encoded>${cdata(content)}</content:encoded>
+    </item>`;
+}
+
+/**
+ * Render a sitemap of translated pages: [{ loc, lastmod?, alternates }],
+ * where alternates ([{ hreflang, href }]) should include the page itself.
+ */
+function renderSitemap(urls) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls
+  .map(
+    ({ loc, lastmod, alternates = [] }) => `  <url>
+    <loc>${escXml(loc)}</loc>
+    ${lastmod ? `<lastmod>${escXml(new Date(lastmod).toISOString())}</lastmod>` : ""}
+    ${alternates
+      .map(
+        ({ hreflang, href }) =>
+          `<xhtml:link rel="alternate" hreflang="${escXml(hreflang)}" href="${escXml(href)}"/>`
+      )
+      .join("\n    ")}
+  </url>`
+  )
+  .join("\n")}
+</urlset>
+`;
+}
+
+function rfc822(date) {
+  return new Date(date).toUTCString();
+}
+
+function cdata(str) {
+  // "]]>" can't appear inside a CDATA section, so split it across two
+  return `<![CDATA[${String(str).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+function escXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+module.exports = { renderFeed, renderSitemap };
@@ -0,0 +1,129 @@
+const { createStore } = require("./store");
+const { BUILTIN_PUBLICATION_ID } = require("./publications");
+
+const glossaryStore = createStore("glossary");
+
+function termsKey(publication) {
+  return `terms:${publication.id}`;
+}
+
+// Before publications existed the one glossary was stored under "terms"
+if (glossaryStore.has("terms")) {
+  glossaryStore.set(
+    termsKey({ id: BUILTIN_PUBLICATION_ID }),
+    glossaryStore.get("terms")
+  );
+  glossaryStore.delete("terms");
+}
+
+const TERM_TYPES = ["keep", "translate"];
+
+/**
+ * A publication's glossary entries: { term, type: "keep" | "translate", translations? }.
+ * "keep" terms stay in English; "translate" terms must use translations[lang].
+ * Seeded from the publication config until first edited.
+ */
+function listTerms(publication) {
+  return glossaryStore.has(termsKey(publication))
+    ? glossaryStore.get(termsKey(publication))
+    : publication.glossary;
+}
+
+/**
+ * Add or replace a glossary entry. Throws on invalid input.
+ */
+function addTerm(publication, { term, type, translations }) {
+  term = typeof term === "string" ? term.trim() : "";
+  if (!term) throw new Error("term is required");
+  if (!TERM_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${TERM_TYPES.join(", ")}`);
+  }
+
+  const entry = { term, type };
+  if (type === "translate") {
+    const valid =
+      translations &&
+      typeof translations === "object" &&
+      Object.values(translations).some((t) => typeof t === "string" && t);
+    if (!valid) {
+      throw new Error('translate terms need translations, e.g. { es: "..." }');
+    }
+    entry.translations = translations;
+  }
+
+  const terms = listTerms(publication).filter(
+    (t) => t.term.toLowerCase() !== term.toLowerCase()
+  );
+  glossaryStore.set(termsKey(publication), [...terms, entry]);
+  return entry;
+}
+
+/**
+ * Remove a glossary entry. Returns false if it didn't exist.
+ */
+function removeTerm(publication, term) {
+  const terms = listTerms(publication);
+  const remaining = terms.filter(
+    (t) => t.term.toLowerCase() !== String(term).toLowerCase()
+  );
+  if (remaining.length === terms.length) return false;
+  glossaryStore.set(termsKey(publication), remaining);
+  return true;
+}
+
+/**
+ * Case-insensitive whole-word search for a term.
+ */
+function containsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`,
+    "iu"
+  ).test(text);
+}
+
+/**
+ * Glossary entries that apply to this source text in this language.
+ */
+function relevantTerms(publication, sourceText, lang) {
+  return listTerms(publication).filter(
+    (t) =>
+      containsTerm(sourceText, t.term) &&
+      (t.type === "keep" || (t.translations && t.translations[lang]))
+  );
+}
+
+/**
+ * Prompt section listing the glossary rules that apply to this source text.
+ * Empty when no glossary term appears in it.
+ */
+function glossaryPrompt(publication, sourceText, lang) {
+  const rules = relevantTerms(publication, sourceText, lang).map((t) =>
+    t.type === "keep"
+      ? `- "${t.term}": keep in English`
+      : `- "${t.term}": always translate as "${t.translations[lang]}"`
+  );
+  return rules.length ? `Glossary (follow exactly): ${rules.join(" ")}` : "";
+}
+
+/**
+ * Check a translation against the glossary. Returns the violated entries,
+ * e.g. [{ term, type: "keep", expected: "The Sunday Nest" }].
+ */
+function checkGlossary(publication, sourceText, translatedText, lang) {
+  return relevantTerms(publication, sourceText, lang)
+    .map((t) => ({
+      term: t.term,
+      type: t.type,
+      expected: t.type === "keep" ? t.term : t.translations[lang],
+    }))
+    .filter((v) => !containsTerm(translatedText, v.expected));
+}
+
+module.exports = {
+  listTerms,
+  addTerm,
+  removeTerm,
+  glossaryPrompt,
+  checkGlossary,
+};
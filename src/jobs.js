@@ -0,0 +1,189 @@
+const { createQueue } = require("./queue");
+const {
+  translatePost,
+  isCached,
+  sourceHash,
+  getHistory,
+} = require("./translator");
+const { fetchPost, postSource, rememberPost } = require("./reader");
+const { getPublication } = require("./publications");
+const { checkBudget } = require("./usage");
+
+/**
+ * Fetch a post from Substack for a job: { post, postId, source }. Throws if
+ * it has no content.
+ */
+async function fetchJobSource(publication, slugOrUrl) {
+  const post = await fetchPost(publication, slugOrUrl);
+  if (!post.contentHtml && !post.contentText) {
+    throw new Error("Post not found or has no content");
+  }
+  // Kept so /read/ works for drafts, under the real slug (share links may
+  // use the post's UUID)
+  rememberPost(publication, post);
+  return { post, postId: `/p/${post.slug}`, source: postSource(post) };
+}
+
+/**
+ * Run one translation job. Resolves with { translation, cached }. entry is
+ * the entry point the job was submitted from, for usage accounting; force
+ * re-translates a cached source.
+ */
+async function runTranslationJob(
+  { publication: publicationId, postId, lang, source, entry, force },
+  { onProgress }
+) {
+  const publication = getPublication(publicationId);
+  if (!publication) throw new Error(`Unknown publication: ${publicationId}`);
+
+  const cached = !force && isCached(publication, postId, source, lang);
+  const translation = await translatePost(
+    { publication, postId, ...source, lang },
+    { onProgress, entry, force }
+  );
+  return { translation, cached };
+}
+
+const translationQueue = createQueue({
+  name: "jobs",
+  run: runTranslationJob,
+  summarize: ({ translation, cached }) => ({
+    sourceHash: translation.sourceHash,
+    status: translation.status,
+    cached,
+  }),
+  // The source is only needed to retry
+  compact: ({ source, ...data }) => data,
+  concurrency: Number(process.env.JOB_CONCURRENCY || 2),
+  maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS || 3),
+});
+
+/**
+ * Queue a translation of { publication, postId, lang, source }, made from
+ * entry ("widget", "read", "slack", ...). Requests for the same post,
+ * language and source text share one job, whatever their entry point (a
+ * forced one only shares with other forced ones). notify targets are
+ * kept on the job for the completion listeners. Throws BudgetExceededError,
+ * without queueing anything, once the monthly budget is spent.
+ */
+function submitTranslation(
+  { publication, postId, lang, source, entry, force = false },
+  { notify } = {}
+) {
+  checkBudget();
+  const key =
+    `${publication.id}:${lang}:${postId}:${sourceHash(source)}` +
+    (force ? ":force" : "");
+  return translationQueue.submit(
+    {
+      publication: publication.id,
+      postId,
+      lang,
+      source,
+      entry,
+      force,
+    },
+    { key, notify }
+  );
+}
+
+/**
+ * Queue a fresh translation of the current cached version of a post, from
+ * the source stored with it, or fetched again for versions cached before
+ * sources were kept. notify is as for submitTranslation. Resolves with null
+ * if nothing is cached; rejects if the source can't be recovered.
+ */
+async function submitRetranslation(
+  publication,
+  postId,
+  lang,
+  { entry = "admin", notify } = {}
+) {
+  const current = getHistory(publication, postId, lang)[0];
+  if (!current) return null;
+  let { source } = current;
+  if (!source) {
+    const slug = postId.match(/^\/p\/([a-z0-9-]+)$/i);
+    if (!slug) {
+      throw new Error(
+        `The source of ${postId} wasn't kept and can't be fetched`
+      );
+    }
+    ({ source } = await fetchJobSource(publication, slug[1]));
+  }
+  return submitTranslation(
+    { publication, postId, lang, source, entry, force: true },
+    { notify }
+  );
+}
+
+/**
+ * Wait for a job's translation, passing its progress events to onProgress.
+ */
+async function awaitTranslation(job, { onProgress } = {}) {
+  const unwatch = onProgress
+    ? translationQueue.watch(job.id, onProgress)
+    : () => {};
+  try {
+    const { translation } = await translationQueue.wait(job.id);
+    return translation;
+  } finally {
+    unwatch();
+  }
+}
+
+/**
+ * Translate through the queue and wait for the result. Cached translations
+ * are returned without a job.
+ */
+async function translateNow(request, options) {
+  const { publication, postId, source, lang, entry } = request;
+  if (isCached(publication, postId, source, lang)) {
+    return translatePost({ publication, postId, ...source, lang }, { entry });
+  }
+  return awaitTranslation(submitTranslation(request), options);
+}
+
+/**
+ * A job as shown by the status endpoints, without its notify targets (which
+ * hold Slack response URLs).
+ */
+function publicJob({
+  id,
+  status,
+  data,
+  attempts,
+  maxAttempts,
+  error,
+  result,
+  createdAt,
+  runAt,
+  startedAt,
+  finishedAt,
+}) {
+  return {
+    id,
+    status,
+    publication: data.publication,
+    postId: data.postId,
+    lang: data.lang,
+    attempts,
+    maxAttempts,
+    error,
+    result,
+    createdAt,
+    startedAt,
+    finishedAt,
+    nextAttemptAt: status === "queued" && attempts ? runAt : null,
+  };
+}
+
+module.exports = {
+  translationQueue,
+  fetchJobSource,
+  submitTranslation,
+  submitRetranslation,
+  awaitTranslation,
+  translateNow,
+  publicJob,
+};
@@ -0,0 +1,72 @@
+/**
+ * Supported target languages. Each entry carries the language-specific part of
+ * the translation prompt plus the UI copy used on translated pages and links.
+ */
+const LANGUAGES = {
+  es: {
+    code: "es",
+    name: "Español",
+    promptName: "Latin American Spanish",
+    locale: "es-MX",
+    // Frequent words, for telling translated paragraphs from English ones
+    commonWords: `el la los las del que y en un una por con para es al se lo
+      como más pero sus su este esta son también porque muy sobre cuando hay
+      fue ser están ya entre sin donde nos`.split(/\s+/),
+    style: `- Use Latin American Spanish (ustedes, not vosotros) - Common tech terms with natural Spanish equivalents should use Spanish (e.g., "inteligencia artificial," "cadena de suministro") - Translate idioms to equivalent Spanish idioms, not literal`,
+    ui: {
+      readOriginal: "Read the original in English on Substack",
+      translatedBy: "Traducido por Nest Translator",
+      readLink: "Leer en Español",
+      pendingTitle: "Traducción en revisión",
+      pendingBody:
+        "Nuestro equipo está revisando la traducción de este artículo. Mientras tanto, puedes leer el original en inglés.",
+      archiveTitle: "Artículos en español",
+      searchPlaceholder: "Buscar artículos",
+      search: "Buscar",
+      noResults: "No encontramos artículos.",
+      newer: "← Más recientes",
+      older: "Anteriores →",
+      paywallNotice:
+        "El resto de este artículo es solo para suscriptores de pago.",
+      paywallCta: "Suscríbete en Substack para seguir leyendo",
+    },
+  },
+  pt: {
+    code: "pt",
+    name: "Português",
+    promptName: "Brazilian Portuguese",
+    locale: "pt-BR",
+    commonWords: `o os as do da dos das que e em um uma por com para é no na
+      se como mais mas seu sua este esta são também porque muito sobre quando
+      há foi ser estão já entre sem onde nós não você`.split(/\s+/),
+    style: `- Use Brazilian Portuguese (você/vocês, not tu/vós; Brazilian spelling and vocabulary, not European Portuguese) - Common tech terms with natural Portuguese equivalents should use Portuguese (e.g., "inteligência artificial," "cadeia de suprimentos") - Keep anglicisms that Brazilian tech readers use day to day (e.g., "startup," "founder," "pitch") - Translate idioms to equivalent Brazilian idioms, not literal`,
+    ui: {
+      readOriginal: "Read the original in English on Substack",
+      translatedBy: "Traduzido por Nest Translator",
+      readLink: "Ler em Português",
+      pendingTitle: "Tradução em revisão",
+      pendingBody:
+        "Nossa equipe está revisando a tradução deste artigo. Enquanto isso, você pode ler o original em inglês.",
+      archiveTitle: "Artigos em português",
+      searchPlaceholder: "Buscar artigos",
+      search: "Buscar",
+      noResults: "Nenhum artigo encontrado.",
+      newer: "← Mais recentes",
+      older: "Anteriores →",
+      paywallNotice:
+        "O restante deste artigo é exclusivo para assinantes pagos.",
+      paywallCta: "Assine no Substack para continuar lendo",
+    },
+  },
+};
+
+/**
+ * Look up a supported language by code. Returns null for unknown codes.
+ */
+function getLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code)
+    ? LANGUAGES[code]
+    : null;
+}
+
+module.exports = { LANGUAGES, getLanguage };
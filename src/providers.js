@@ -0,0 +1,230 @@
+const Anthropic = require("@anthropic-ai/sdk");
+
+/**
+ * Translation providers: the model backends translatePost sends its requests
+ * to. A provider is { name, defaultModel, complete(request), isTransient(err) }.
+ *
+ * complete({ system, instructions, text, model, maxTokens, onText, signal,
+ * timeout }) resolves { text, truncated, usage: { inputTokens, outputTokens } },
+ * where text is the translation of `text` following `instructions`, and
+ * truncated says the output hit maxTokens. With onText, text is streamed to it
+ * as it arrives. isTransient(err) says whether a failed request is worth
+ * retrying.
+ */
+
+const DEFAULT_MAX_TOKENS = 16384;
+
+/**
+ * Thrown when a provider can't be used as configured, e.g. without its API key.
+ */
+class ProviderConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProviderConfigError";
+  }
+}
+
+// Created on first use, so the server starts (and the mock works) without a key
+let anthropicClient = null;
+
+const anthropicProvider = {
+  name: "anthropic",
+  defaultModel: "claude-haiku-4-5-20251001",
+
+  async complete({
+    system,
+    instructions,
+    text,
+    model,
+    maxTokens,
+    onText,
+    signal,
+    timeout,
+  }) {
+    if (!process.env.ANTHROPIC_API_KEY) {
+      throw new ProviderConfigError(
+        "ANTHROPIC_API_KEY is not set (use TRANSLATION_PROVIDER=mock to work offline)"
+      );
+    }
+    if (!anthropicClient) anthropicClient = new Anthropic();
+
+    const params = {
+      model,
+      max_tokens: maxTokens,
+      system,
+      messages: [{ role: "user", content: `${instructions}\n\n${text}` }],
+    };
+    const requestOptions = { timeout, signal };
+
+    let response;
+    if (onText) {
+      const stream = anthropicClient.messages.stream(params, requestOptions);
+      stream.on("text", onText);
+      response = await stream.finalMessage();
+    } else {
+      response = await anthropicClient.messages.create(params, requestOptions);
+    }
+
+    return {
+      text: response.content[0].text,
+      truncated: response.stop_reason === "max_tokens",
+      usage: {
+        inputTokens: response.usage.input_tokens,
+        outputTokens: response.usage.output_tokens,
+      },
+    };
+  },
+
+  // Timeouts, rate limits and 5xx; not client errors or aborts
+  isTransient(err) {
+    return (
+      !(err instanceof ProviderConfigError) &&
+      !(err instanceof Anthropic.APIUserAbortError) &&
+      (!err.status || err.status === 429 || err.status >= 500)
+    );
+  },
+};
+
+// Runs of text the pseudo-translation leaves alone: tags and segment
+// placeholders, link targets, footnote markers, code and bare URLs
+const PROTECTED =
+  /<[^>]+>|\]\((?:[^()\s]|\([^()\s]*\))+(?:\s+"[^"]*")?\)|\[\^[\w-]+\]|`[^`]*`|https?:\/\/[^\s<>)]+/;
+
+const ACCENTS = {
+  a: "á",
+  e: "é",
+  i: "í",
+  o: "ó",
+  u: "ú",
+  A: "Á",
+  E: "É",
+  I: "Í",
+  O: "Ó",
+  U: "Ú",
+};
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Glossary rules from a system prompt built by buildSystemPrompt: a Map of
+ * lower-cased term -> its fixed translation (null for "keep" rules).
+ */
+function glossaryRules(system) {
+  const rules = new Map();
+  for (const [, term] of system.matchAll(/- "([^"]+)": keep in English/g)) {
+    rules.set(term.toLowerCase(), null);
+  }
+  for (const [, term, target] of system.matchAll(
+    /- "([^"]+)": always translate as "([^"]+)"/g
+  )) {
+    rules.set(term.toLowerCase(), target);
+  }
+  return rules;
+}
+
+/**
+ * Deterministic stand-in for a translation: vowels get accents, while markup,
+ * placeholders, URLs and glossary terms come through as a real translation
+ * should leave them. Same length as the input, so it passes the quality checks.
+ */
+function pseudoTranslate(text, system) {
+  const rules = glossaryRules(system || "");
+  const terms = [...rules.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  const pattern = new RegExp(
+    [
+      PROTECTED.source,
+      ...terms.map((t) => `(?<![\\p{L}\\p{N}])${t}(?![\\p{L}\\p{N}])`),
+    ].join("|"),
+    "giu"
+  );
+
+  let out = "";
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    out += accent(text.slice(last, match.index));
+    out += rules.get(match[0].toLowerCase()) || match[0];
+    last = match.index + match[0].length;
+  }
+  return out + accent(text.slice(last));
+}
+
+function accent(text) {
+  return text.replace(/[aeiouAEIOU]/g, (c) => ACCENTS[c]);
+}
+
+const mockProvider = {
+  name: "mock",
+  defaultModel: "pseudo",
+
+  async complete({ system, text, onText }) {
+    const translated = pseudoTranslate(text, system);
+    if (onText) onText(translated);
+    return {
+      text: translated,
+      truncated: false,
+      // Roughly what a model would be billed for
+      usage: {
+        inputTokens: Math.ceil((system.length + text.length) / 4),
+        outputTokens: Math.ceil(translated.length / 4),
+      },
+    };
+  },
+
+  isTransient() {
+    return false;
+  },
+};
+
+const PROVIDERS = {
+  [anthropicProvider.name]: anthropicProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+/**
+ * An environment setting for one publication and language. The most specific
+ * variable wins: NAME_<PUBLICATION>_<LANG>, NAME_<PUBLICATION>, NAME_<LANG>,
+ * then NAME (e.g. TRANSLATION_MODEL_CONTENIDO_PT, TRANSLATION_MODEL).
+ */
+function envSetting(name, publication, lang) {
+  const pub = publication.id.toUpperCase().replace(/-/g, "_");
+  const code = lang.toUpperCase();
+  for (const key of [
+    `${name}_${pub}_${code}`,
+    `${name}_${pub}`,
+    `${name}_${code}`,
+    name,
+  ]) {
+    if (process.env[key]) return process.env[key];
+  }
+  return null;
+}
+
+/**
+ * Provider, model and max_tokens for translating a publication's posts into
+ * lang: { provider, model, maxTokens }, from TRANSLATION_PROVIDER,
+ * TRANSLATION_MODEL and TRANSLATION_MAX_TOKENS (see envSetting). Throws for
+ * an unknown provider.
+ */
+function providerConfig(publication, lang) {
+  const name =
+    envSetting("TRANSLATION_PROVIDER", publication, lang) || "anthropic";
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new ProviderConfigError(`Unknown translation provider: ${name}`);
+  }
+  return {
+    provider,
+    model:
+      envSetting("TRANSLATION_MODEL", publication, lang) ||
+      provider.defaultModel,
+    maxTokens:
+      Number(envSetting("TRANSLATION_MAX_TOKENS", publication, lang)) ||
+      DEFAULT_MAX_TOKENS,
+  };
+}
+
+module.exports = { providerConfig };
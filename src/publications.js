@@ -0,0 +1,247 @@
+const fs = require("fs");
+const { createStore } = require("./store");
+const { LANGUAGES, getLanguage } = require("./languages");
+
+// Publications added or edited through the admin API. They take precedence
+// over PUBLICATIONS_FILE entries with the same id.
+const publicationStore = createStore("publications");
+
+// Everything cached before publications existed belongs to this one
+const BUILTIN_PUBLICATION_ID = "contenido";
+
+// The original single-newsletter setup, still configured from the environment
+const BUILTIN_PUBLICATION = {
+  id: BUILTIN_PUBLICATION_ID,
+  name: "ConteNIDO",
+  substackUrl: process.env.SUBSTACK_URL || "https://elcontenido.substack.com",
+  customDomain: null,
+  description:
+    '"The Sunday Nest," a newsletter by Ana Carolina Mexia Ponce about venture capital, AI, and technology in Latin America',
+  voice: `Ana's writing style: - Conversational and direct, like talking to a smart friend - Analytical but accessible — uses data and frameworks without being dry - Warm but confident — strong opinions shared clearly - Occasional rhetorical questions to engage readers - Short punchy paragraphs mixed with longer analytical ones - First person perspective ("I think", "I've seen") - Do NOT include a sign-off like "Ana 🪺" at the end — omit it entirely`,
+  languages: ["es", "pt"],
+  // Seeds the publication's glossary until it is edited through the admin API
+  glossary: [
+    { term: "The Sunday Nest", type: "keep" },
+    { term: "Nido Ventures", type: "keep" },
+    { term: "venture capital", type: "keep" },
+    { term: "B2B", type: "keep" },
+    { term: "startup", type: "keep" },
+    { term: "seed stage", type: "keep" },
+    { term: "copilot", type: "keep" },
+    {
+      term: "artificial intelligence",
+      type: "translate",
+      translations: {
+        es: "inteligencia artificial",
+        pt: "inteligência artificial",
+      },
+    },
+    {
+      term: "supply chain",
+      type: "translate",
+      translations: { es: "cadena de suministro", pt: "cadeia de suprimentos" },
+    },
+  ],
+  branding: {
+    tagline: {
+      es: "VC, AI & Tech en Latinoamérica",
+      pt: "VC, IA & Tech na América Latina",
+    },
+  },
+};
+
+/**
+ * Hostname of a domain given as "www.example.com" or a full URL.
+ */
+function hostOf(value) {
+  return value.includes("://")
+    ? new URL(value).hostname
+    : value.toLowerCase().replace(/\/.*$/, "");
+}
+
+/**
+ * Validate a publication config and fill in defaults. Throws on invalid input.
+ *
+ * { id, name, substackUrl, customDomain?, description?, voice?, languages?,
+ *   glossary?, branding?: { tagline?: { [lang]: text } } }
+ */
+function normalizePublication(input) {
+  const {
+    id,
+    name,
+    substackUrl,
+    customDomain,
+    description,
+    voice,
+    languages = Object.keys(LANGUAGES),
+    glossary = [],
+    branding = {},
+  } = input || {};
+
+  if (typeof id !== "string" || !/^[a-z0-9-]{3,}$/.test(id)) {
+    // Ids share a URL segment with language codes in /read paths
+    throw new Error("id must be 3+ lowercase letters, digits or dashes");
+  }
+  if (typeof name !== "string" || !name.trim()) {
+    throw new Error("name is required");
+  }
+  let base;
+  try {
+    base = new URL(substackUrl).origin;
+  } catch {
+    throw new Error(
+      "substackUrl must be a URL, e.g. https://example.substack.com"
+    );
+  }
+  if (
+    !Array.isArray(languages) ||
+    !languages.length ||
+    !languages.every((code) => getLanguage(code))
+  ) {
+    throw new Error(
+      `languages must be a non-empty list of: ${Object.keys(LANGUAGES).join(
+        ", "
+      )}`
+    );
+  }
+  if (
+    !Array.isArray(glossary) ||
+    !glossary.every((t) => t && typeof t.term === "string")
+  ) {
+    throw new Error("glossary must be a list of { term, type, translations? }");
+  }
+
+  return {
+    id,
+    name: name.trim(),
+    substackUrl: base,
+    customDomain: customDomain ? hostOf(String(customDomain)) : null,
+    description:
+      typeof description === "string" && description.trim()
+        ? description.trim()
+        : `"${name.trim()}," a newsletter`,
+    voice: typeof voice === "string" ? voice.trim() : "",
+    languages,
+    glossary,
+    branding: { tagline: (branding && branding.tagline) || {} },
+  };
+}
+
+/**
+ * Publications from PUBLICATIONS_FILE (a JSON array of configs), read once at
+ * startup. An invalid file stops the server rather than serving the wrong
+ * newsletter's settings.
+ */
+function loadPublicationsFile() {
+  const file = process.env.PUBLICATIONS_FILE;
+  if (!file) return [];
+  const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  return entries.map((entry) => {
+    try {
+      return normalizePublication(entry);
+    } catch (err) {
+      throw new Error(
+        `${file}: publication ${entry && entry.id}: ${err.message}`
+      );
+    }
+  });
+}
+
+const filePublications = loadPublicationsFile();
+
+/**
+ * All publications: the built-in one, then PUBLICATIONS_FILE entries, then
+ * admin API entries, later ones replacing earlier ones with the same id.
+ */
+function listPublications() {
+  const byId = new Map();
+  for (const publication of [
+    normalizePublication(BUILTIN_PUBLICATION),
+    ...filePublications,
+    ...publicationStore.entries().map(([, value]) => value),
+  ]) {
+    byId.set(publication.id, publication);
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Look up a publication by id. Returns null for unknown ids.
+ */
+function getPublication(id) {
+  return listPublications().find((p) => p.id === id) || null;
+}
+
+/**
+ * Publication used when a request doesn't identify one (DEFAULT_PUBLICATION,
+ * or the built-in one).
+ */
+function defaultPublication() {
+  return (
+    getPublication(process.env.DEFAULT_PUBLICATION || BUILTIN_PUBLICATION_ID) ||
+    getPublication(BUILTIN_PUBLICATION_ID)
+  );
+}
+
+/**
+ * Publication served from this hostname, on Substack or its custom domain.
+ */
+function publicationForHost(host) {
+  host = String(host || "").toLowerCase();
+  if (!host) return null;
+  return (
+    listPublications().find(
+      (p) => new URL(p.substackUrl).hostname === host || p.customDomain === host
+    ) || null
+  );
+}
+
+/**
+ * Publication a URL (a post link, or a request's Origin) belongs to, or null.
+ */
+function publicationForUrl(url) {
+  try {
+    return publicationForHost(new URL(url).hostname);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The publication's target languages, in its preferred order. The first one
+ * is its default.
+ */
+function publicationLanguages(publication) {
+  return publication.languages.map((code) => getLanguage(code));
+}
+
+/**
+ * Create or replace a publication through the admin API. Throws on invalid input.
+ */
+function savePublication(input) {
+  const publication = normalizePublication(input);
+  publicationStore.set(publication.id, publication);
+  return publication;
+}
+
+/**
+ * Remove a publication added through the admin API. Publications from the
+ * config file (or the built-in one) fall back to their configured version.
+ * Returns false if there was nothing to remove.
+ */
+function removePublication(id) {
+  if (!publicationStore.has(id)) return false;
+  publicationStore.delete(id);
+  return true;
+}
+
+module.exports = {
+  BUILTIN_PUBLICATION_ID,
+  listPublications,
+  getPublication,
+  defaultPublication,
+  publicationForUrl,
+  publicationLanguages,
+  savePublication,
+  removePublication,
+};
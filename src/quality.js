@@ -0,0 +1,223 @@
+const cheerio = require("cheerio");
+const { getLanguage } = require("./languages");
+const { checkGlossary } = require("./glossary");
+
+// Frequent English words that aren't also Spanish or Portuguese words, for
+// spotting passages the model left untranslated
+const ENGLISH_WORDS = new Set(
+  `the and of to is in that it for with was on are this be by at from have
+  not but or an they which you we their has were will can about more what
+  when there been would these our its into than how who should could`.split(
+    /\s+/
+  )
+);
+
+// Paragraphs shorter than this are too short to tell the language of
+const MIN_DETECT_WORDS = 6;
+
+// Translated text length as a share of the source's. Spanish and Portuguese
+// run 10–30% longer than English; far outside that, text was dropped or added
+const MIN_LENGTH_RATIO = 0.75;
+const MAX_LENGTH_RATIO = 1.6;
+const MIN_LENGTH_CHARS = 200;
+
+// Share of paragraphs the model may merge or split before it counts as
+// dropping some
+const PARAGRAPH_TOLERANCE = 0.1;
+
+function words(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}']+/gu) || []
+  );
+}
+
+function htmlText(html) {
+  return cheerio.load(html || "").text();
+}
+
+/**
+ * Whether a paragraph reads as English rather than the target language.
+ */
+function looksEnglish(text, language) {
+  const tokens = words(text);
+  if (tokens.length < MIN_DETECT_WORDS) return false;
+  const target = new Set(language.commonWords);
+  const english = tokens.filter((w) => ENGLISH_WORDS.has(w)).length;
+  const native = tokens.filter((w) => target.has(w)).length;
+  return english >= 2 && english > native;
+}
+
+/**
+ * Paragraphs and headings of a post's content: { paragraphs, headings }.
+ */
+function structureOf({ content, contentHtml }) {
+  if (contentHtml) {
+    const $ = cheerio.load(contentHtml);
+    const blocks = $("p, li, blockquote, pre")
+      .toArray()
+      .filter((el) => $(el).text().trim());
+    return {
+      paragraphs: blocks.length,
+      headings: $("h1, h2, h3, h4, h5, h6").length,
+    };
+  }
+  const blocks = String(content || "")
+    .split(/\n{2,}/)
+    .filter((block) => block.trim());
+  return {
+    paragraphs: blocks.filter((block) => !/^#{1,6}\s/.test(block.trim()))
+      .length,
+    headings: blocks.filter((block) => /^#{1,6}\s/.test(block.trim())).length,
+  };
+}
+
+/**
+ * Link and image URLs of a post's content.
+ */
+function urlsOf({ content, contentHtml }) {
+  if (contentHtml) {
+    const $ = cheerio.load(contentHtml);
+    return new Set(
+      $("a[href], img[src]")
+        .toArray()
+        .map((el) => $(el).attr("href") || $(el).attr("src"))
+    );
+  }
+  // Targets may contain one level of parentheses, as in public/markdown.js
+  const urls = new Set();
+  const targets = /\]\(\s*((?:[^()\s]|\([^()\s]*\))+)/g;
+  for (const match of String(content || "").matchAll(targets)) {
+    urls.add(match[1]);
+  }
+  return urls;
+}
+
+function structureCheck(source, translated) {
+  const before = structureOf(source);
+  const after = structureOf(translated);
+  const allowed = Math.floor(before.paragraphs * PARAGRAPH_TOLERANCE);
+  const passed =
+    before.headings === after.headings &&
+    Math.abs(before.paragraphs - after.paragraphs) <= allowed;
+  return {
+    name: "structure",
+    passed,
+    message: passed
+      ? "Paragraphs and headings match the original"
+      : `${after.paragraphs} paragraphs and ${after.headings} headings, against ${before.paragraphs} and ${before.headings} in the original`,
+  };
+}
+
+function linksCheck(source, translated) {
+  const kept = urlsOf(translated);
+  const missing = [...urlsOf(source)].filter((url) => !kept.has(url));
+  return {
+    name: "links",
+    passed: !missing.length,
+    message: missing.length
+      ? `${missing.length} link or image URLs missing`
+      : "Every link and image URL was kept",
+    missing,
+  };
+}
+
+function languageCheck(paragraphs, language) {
+  const english = paragraphs
+    .filter((p) => p.source.trim() && looksEnglish(p.translated, language))
+    .map((p) => p.id);
+  // The model is told to drop sign-offs, so only longer paragraphs count
+  const dropped = paragraphs
+    .filter(
+      (p) =>
+        words(p.source).length >= MIN_DETECT_WORDS &&
+        !String(p.translated || "").trim()
+    )
+    .map((p) => p.id);
+  const passed = !english.length && !dropped.length;
+  const problems = [];
+  if (english.length) problems.push(`${english.length} still in English`);
+  if (dropped.length) problems.push(`${dropped.length} left empty`);
+  return {
+    name: "language",
+    passed,
+    message: passed
+      ? `Every paragraph is in ${language.name}`
+      : `Paragraphs ${problems.join(", ")}`,
+    paragraphs: [...english, ...dropped],
+  };
+}
+
+function glossaryCheck(publication, sourceText, translatedText, lang) {
+  const violations = checkGlossary(
+    publication,
+    sourceText,
+    translatedText,
+    lang
+  );
+  return {
+    name: "glossary",
+    passed: !violations.length,
+    message: violations.length
+      ? violations
+          .map((v) => `"${v.term}" should be "${v.expected}"`)
+          .join("; ")
+      : "Glossary followed",
+  };
+}
+
+function lengthCheck(sourceText, translatedText) {
+  if (sourceText.length < MIN_LENGTH_CHARS) {
+    return { name: "length", passed: true, message: "Too short to compare" };
+  }
+  const ratio = translatedText.length / sourceText.length;
+  const passed = ratio >= MIN_LENGTH_RATIO && ratio <= MAX_LENGTH_RATIO;
+  return {
+    name: "length",
+    passed,
+    message: `${Math.round(ratio * 100)}% of the original's length`,
+    ratio: Math.round(ratio * 100) / 100,
+  };
+}
+
+/**
+ * Check a translation for the ways model output goes wrong: dropped or merged
+ * paragraphs, lost links, passages left in English (or a preamble), glossary
+ * misses and suspicious length. source and translated are { title, subtitle,
+ * content | contentHtml }; paragraphs pairs them up as the editor shows them
+ * ([{ id, source, translated }]).
+ *
+ * Returns { passed, checkedAt, checks: [{ name, passed, message, ... }] }.
+ */
+function checkQuality({ publication, lang, source, translated, paragraphs }) {
+  const language = getLanguage(lang);
+  const sourceText = plainText(source);
+  const translatedText = plainText(translated);
+  const checks = [
+    structureCheck(source, translated),
+    linksCheck(source, translated),
+    languageCheck(paragraphs, language),
+    glossaryCheck(publication, sourceText, translatedText, lang),
+    lengthCheck(sourceText, translatedText),
+  ];
+  return {
+    passed: checks.every((check) => check.passed),
+    checkedAt: new Date().toISOString(),
+    checks,
+  };
+}
+
+/**
+ * Names of the checks a report failed.
+ */
+function failedChecks(report) {
+  return report.checks.filter((check) => !check.passed).map((c) => c.name);
+}
+
+function plainText({ title, subtitle, content, contentHtml }) {
+  const body = contentHtml ? htmlText(contentHtml) : content;
+  return [title, subtitle, body].filter(Boolean).join("\n\n");
+}
+
+module.exports = { checkQuality, failedChecks };
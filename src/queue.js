@@ -0,0 +1,246 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { createStore } = require("./store");
+
+// Finished jobs kept for the status endpoints
+const MAX_FINISHED_JOBS = 200;
+
+/**
+ * Durable job queue backed by a store, so queued work survives a restart.
+ *
+ * run(data, { onProgress }) does the work for one job and resolves with its
+ * result; summarize(result) picks the part of it worth persisting, and
+ * compact(data) trims a finished job's input (it's only needed to retry). Failed
+ * attempts are retried with exponential backoff, unless the error is marked
+ * retryable: false. Jobs submitted with the same
+ * key while one is queued or running are merged into it.
+ *
+ * Events: "started" (job) at the start of every attempt, "completed" (job,
+ * result) and "failed" (job, err), the latter only once the job has run out
+ * of attempts. Listeners registered at startup see
+ * jobs resumed after a restart too.
+ */
+function createQueue({
+  name,
+  run,
+  summarize = () => null,
+  compact = (data) => data,
+  concurrency = 2,
+  maxAttempts = 3,
+  backoffMs = 30 * 1000,
+}) {
+  const store = createStore(name);
+  const events = new EventEmitter();
+  // In-process listeners for jobs: id -> { waiters: [{ resolve, reject }], watchers: Set<fn> }
+  const listeners = new Map();
+  let active = 0;
+  let timer = null;
+  let started = false;
+
+  function save(job) {
+    store.set(job.id, job);
+    return job;
+  }
+
+  function listenersFor(id) {
+    if (!listeners.has(id)) {
+      listeners.set(id, { waiters: [], watchers: new Set() });
+    }
+    return listeners.get(id);
+  }
+
+  function isActive(job) {
+    return job.status === "queued" || job.status === "running";
+  }
+
+  /**
+   * All jobs, newest first.
+   */
+  function list() {
+    return store
+      .entries()
+      .map(([, job]) => job)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Queue a job, or return the queued/running job with the same key. The
+   * new submission's notify targets are added to a merged job.
+   */
+  function submit(data, { key = null, notify = [] } = {}) {
+    const existing = key && list().find((j) => j.key === key && isActive(j));
+    if (existing) {
+      if (notify.length) {
+        existing.notify = [...existing.notify, ...notify];
+        save(existing);
+      }
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const job = save({
+      id: crypto.randomUUID(),
+      key,
+      status: "queued",
+      data,
+      notify,
+      attempts: 0,
+      maxAttempts,
+      error: null,
+      result: null,
+      createdAt: now,
+      runAt: now,
+      startedAt: null,
+      finishedAt: null,
+    });
+    schedule();
+    return job;
+  }
+
+  function get(id) {
+    return store.get(id) || null;
+  }
+
+  /**
+   * Resolve with the job's result once it's done, or reject with the error of
+   * its last attempt once it has failed for good. Attempts that will be
+   * retried don't settle it.
+   */
+  function wait(id) {
+    return new Promise((resolve, reject) => {
+      listenersFor(id).waiters.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Receive the job's progress events while this process runs it. Returns a
+   * function that stops watching.
+   */
+  function watch(id, onProgress) {
+    const { watchers } = listenersFor(id);
+    watchers.add(onProgress);
+    return () => watchers.delete(onProgress);
+  }
+
+  function settle(id, err, result) {
+    const entry = listeners.get(id);
+    if (!entry) return;
+    listeners.delete(id);
+    for (const { resolve, reject } of entry.waiters) {
+      if (err) reject(err);
+      else resolve(result);
+    }
+  }
+
+  function prune() {
+    const finished = list().filter((j) => !isActive(j));
+    for (const job of finished.slice(MAX_FINISHED_JOBS)) store.delete(job.id);
+  }
+
+  function emit(event, ...args) {
+    try {
+      events.emit(event, ...args);
+    } catch (err) {
+      console.error(`Queue ${name} listener error:`, err.message);
+    }
+  }
+
+  async function runJob(job) {
+    active++;
+    job.status = "running";
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    save(job);
+    emit("started", job);
+
+    const onProgress = (event) => {
+      const entry = listeners.get(job.id);
+      if (entry) for (const fn of entry.watchers) fn(event);
+    };
+
+    let result;
+    let error = null;
+    try {
+      result = await run(job.data, { onProgress });
+    } catch (err) {
+      error = err;
+    }
+    active--;
+
+    if (!error) {
+      job.status = "done";
+      job.result = summarize(result);
+      job.error = null;
+      job.finishedAt = new Date().toISOString();
+    } else if (job.attempts < job.maxAttempts && error.retryable !== false) {
+      job.status = "queued";
+      job.error = error.message;
+      job.runAt = new Date(
+        Date.now() + backoffMs * 2 ** (job.attempts - 1)
+      ).toISOString();
+    } else {
+      job.status = "failed";
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+    }
+    if (!isActive(job)) job.data = compact(job.data);
+    save(job);
+    // Waiters and watchers stay for the next attempt
+    if (!isActive(job)) settle(job.id, error, result);
+    prune();
+    schedule();
+
+    if (job.status === "done") emit("completed", job, result);
+    if (job.status === "failed") emit("failed", job, error);
+  }
+
+  /**
+   * Start due jobs up to the concurrency limit, and set a timer for the next
+   * retry that isn't due yet.
+   */
+  function schedule() {
+    if (!started) return;
+    clearTimeout(timer);
+
+    const now = new Date().toISOString();
+    const queued = list()
+      .filter((j) => j.status === "queued")
+      .sort((a, b) => a.runAt.localeCompare(b.runAt));
+    for (const job of queued) {
+      if (active >= concurrency) return;
+      if (job.runAt > now) {
+        timer = setTimeout(schedule, Date.parse(job.runAt) - Date.now());
+        timer.unref();
+        return;
+      }
+      runJob(job);
+    }
+  }
+
+  /**
+   * Start processing. Jobs that were running when the process stopped are
+   * queued again.
+   */
+  function start() {
+    for (const job of list()) {
+      if (job.status === "running") {
+        job.status = "queued";
+        save(job);
+      }
+    }
+    started = true;
+    schedule();
+  }
+
+  return {
+    submit,
+    get,
+    list,
+    wait,
+    watch,
+    start,
+    on: (event, fn) => events.on(event, fn),
+  };
+}
+
+module.exports = { createQueue };
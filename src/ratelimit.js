@@ -0,0 +1,39 @@
+/**
+ * In-memory fixed-window rate limiter: at most `limit` hits per key in each
+ * `windowMs` window. Counters live in this process only, which is enough for
+ * a single instance.
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  // Drop finished windows so one-off keys (IPs) don't accumulate
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    /**
+     * Count a hit for key. Returns { allowed, retryAfter } where retryAfter is
+     * the number of seconds until the key's window resets.
+     */
+    hit(key) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+      return {
+        allowed: window.count <= limit,
+        retryAfter: Math.ceil((window.resetAt - now) / 1000),
+      };
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
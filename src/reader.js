@@ -1,51 +1,279 @@
 const cheerio = require("cheerio");
 
-const SUBSTACK_BASE =
-  process.env.SUBSTACK_URL || "https://elcontenido.substack.com";
+const { createStore } = require("./store");
+
+// Post metadata fetched for Slack commands, so /read/:slug works even for
+// unpublished drafts. Keyed by "<publicationId>:<slug>".
+const postMetaCache = createStore("post-meta");
+
+const USER_AGENT =
+  "Mozilla/5.0 (compatible; NestTranslator/1.0; +https://github.com/nest-translator)";
+
+// Substack audiences whose posts are cut off at the paywall for everyone else
+const PAID_AUDIENCES = new Set(["only_paid", "founding"]);
+
+// Translations of a paywalled post's full text are cached under its postId
+// plus this, apart from the preview everyone can read
+const FULL_POST_SUFFIX = "#full";
+
+// Substack embeds with nothing to translate, left out of the markdown
+// (translations of the post's HTML keep them in place)
+const EMBED_SELECTOR = [
+  "iframe",
+  "video",
+  "audio",
+  ".embedded-post-wrap",
+  ".embedded-publication-wrap",
+  ".digest-post-embed",
+  ".youtube-wrap",
+  ".vimeo-wrap",
+  ".tweet",
+  ".twitter-embed",
+  ".instagram",
+  ".spotify-wrap",
+  ".apple-podcast-container",
+  ".native-video-embed",
+  ".native-audio-embed",
+  ".poll-embed",
+  ".latex-rendered",
+  ".file-embed-wrapper",
+].join(", ");
+
+// Elements that only work on Substack (subscribe forms) or aren't content
+const SKIP_TAGS = new Set([
+  "form",
+  "input",
+  "button",
+  "script",
+  "style",
+  "noscript",
+  "svg",
+  "source",
+]);
+
+const BLOCK_TAGS = new Set([
+  "p",
+  "div",
+  "section",
+  "article",
+  "figure",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "ul",
+  "ol",
+  "li",
+  "blockquote",
+  "pre",
+  "hr",
+  "table",
+]);
+
+function isBlock($, node) {
+  return (
+    node.type === "tag" &&
+    (BLOCK_TAGS.has(node.name) ||
+      $(node).is(EMBED_SELECTOR) ||
+      $(node).is(".footnote"))
+  );
+}
 
 /**
- * Convert HTML to markdown-ish text preserving links, bold, italic, headings.
+ * Wrap text in a markdown marker ("**", "*"), keeping surrounding spaces
+ * outside it so "** bold **" doesn't happen.
  */
-function htmlToMarkdown(html) {
-  const $ = cheerio.load(html);
+function wrapInline(text, marker) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return match[2]
+    ? `${match[1]}${marker}${match[2]}${marker}${match[3]}`
+    : text;
+}
 
-  // Convert links to markdown
-  $("a").each((_i, el) => {
-    const href = $(el).attr("href") || "";
-    const text = $(el).text();
-    if (href && text) {
-      $(el).replaceWith(`[${text}](${href})`);
+function inlineToMarkdown($, nodes) {
+  return nodes.map((node) => inlineNode($, node)).join("");
+}
+
+function inlineNode($, node) {
+  if (node.type === "text") return node.data.replace(/\s+/g, " ");
+  if (node.type !== "tag" || SKIP_TAGS.has(node.name)) return "";
+
+  const el = $(node);
+  if (el.is(EMBED_SELECTOR)) return "";
+
+  const inner = () => inlineToMarkdown($, node.children);
+  switch (node.name) {
+    case "br":
+      return "\n";
+    case "strong":
+    case "b":
+      return wrapInline(inner(), "**");
+    case "em":
+    case "i":
+      return wrapInline(inner(), "*");
+    case "code":
+      return `\`${el.text()}\``;
+    case "img":
+      return imageMarkdown(el);
+    case "a": {
+      if (el.hasClass("footnote-anchor")) return `[^${el.text().trim()}]`;
+      const href = el.attr("href") || "";
+      const text = inner();
+      return href && text.trim() ? `[${text.trim()}](${href})` : text;
     }
-  });
+    default:
+      return inner();
+  }
+}
 
-  // Convert bold/strong
-  $("strong, b").each((_i, el) => {
-    $(el).replaceWith(`**${$(el).text()}**`);
-  });
+function imageMarkdown(img) {
+  const src = img.attr("src");
+  if (!src) return "";
+  return `![${(img.attr("alt") || "").replace(/[[\]\n]/g, " ")}](${src})`;
+}
 
-  // Convert italic/em
-  $("em, i").each((_i, el) => {
-    $(el).replaceWith(`*${$(el).text()}*`);
-  });
+/**
+ * Indent every line after the first (list item continuations).
+ */
+function indentRest(text, indent) {
+  return text.replace(/\n/g, `\n${indent}`);
+}
 
-  // Convert headings
-  $("h1, h2, h3, h4, h5, h6").each((_i, el) => {
-    const level = el.tagName.replace("h", "");
-    const prefix = "#".repeat(Number(level));
-    $(el).replaceWith(`\n\n${prefix} ${$(el).text()}\n\n`);
-  });
+function tableToMarkdown($, node) {
+  const rows = $(node)
+    .find("tr")
+    .toArray()
+    .map((tr) =>
+      $(tr)
+        .children("th, td")
+        .toArray()
+        .map((cell) =>
+          inlineToMarkdown($, cell.children)
+            .replace(/\s+/g, " ")
+            .replace(/\|/g, "/")
+            .trim()
+        )
+    )
+    .filter((cells) => cells.length);
+  if (!rows.length) return "";
+  const width = Math.max(...rows.map((cells) => cells.length));
+  const line = (cells) =>
+    `| ${Array.from({ length: width }, (_v, i) => cells[i] || "").join(" | ")} |`;
+  return [
+    line(rows[0]),
+    line(Array(width).fill("---")),
+    ...rows.slice(1).map(line),
+  ].join("\n");
+}
 
-  // Convert paragraphs and divs to double newlines
-  $("p, div").each((_i, el) => {
-    $(el).append("\n\n");
-  });
+function blockNode($, node) {
+  const el = $(node);
+  if (el.is(EMBED_SELECTOR)) return "";
 
-  // Convert line breaks
-  $("br").each((_i, el) => {
-    $(el).replaceWith("\n");
-  });
+  if (el.is(".captioned-image-container, figure")) {
+    const img = el.find("img").first();
+    const caption = el.find("figcaption").first();
+    const parts = [img.length ? imageMarkdown(img) : ""];
+    const captionText = caption.length
+      ? inlineToMarkdown($, caption[0].children).trim()
+      : "";
+    if (captionText) parts.push(wrapInline(captionText, "*"));
+    return parts.filter(Boolean).join("\n");
+  }
+  if (el.is(".footnote")) {
+    const number = el.find(".footnote-number").first().text().trim();
+    const content = el.find(".footnote-content").first();
+    const text = blocksToMarkdown($, (content[0] || node).children);
+    return `[^${number}]: ${text.replace(/\n+/g, " ")}`;
+  }
+  if (el.is(".pullquote")) {
+    return quote(blocksToMarkdown($, node.children));
+  }
+
+  switch (node.name) {
+    case "h1":
+    case "h2":
+    case "h3":
+    case "h4":
+    case "h5":
+    case "h6":
+      return `${"#".repeat(Number(node.name[1]))} ${inlineToMarkdown($, node.children).replace(/\s+/g, " ").trim()}`;
+    case "p":
+      return inlineToMarkdown($, node.children).trim();
+    case "hr":
+      return "---";
+    case "pre":
+      return `\`\`\`\n${el.text().replace(/\n$/, "")}\n\`\`\``;
+    case "blockquote":
+      return quote(blocksToMarkdown($, node.children));
+    case "table":
+      return tableToMarkdown($, node);
+    case "ul":
+    case "ol": {
+      const ordered = node.name === "ol";
+      let number = Number(el.attr("start")) || 1;
+      return el
+        .children("li")
+        .toArray()
+        .map((li) => {
+          const marker = ordered ? `${number++}. ` : "- ";
+          const body = blocksToMarkdown($, li.children, "\n");
+          return marker + indentRest(body, " ".repeat(marker.length));
+        })
+        .join("\n");
+    }
+    default:
+      return blocksToMarkdown($, node.children);
+  }
+}
 
-  return $.text().replace(/\n{3,}/g, "\n\n").trim();
+function quote(text) {
+  return text
+    .split("\n")
+    .map((line) => (line ? `> ${line}` : ">"))
+    .join("\n");
+}
+
+/**
+ * Convert a list of sibling nodes. Runs of inline content between blocks
+ * become paragraphs.
+ */
+function blocksToMarkdown($, nodes, separator = "\n\n") {
+  const blocks = [];
+  let inline = [];
+  const flush = () => {
+    const text = inlineToMarkdown($, inline).trim();
+    if (text) blocks.push(text);
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (node.type === "tag" && SKIP_TAGS.has(node.name)) continue;
+    if (isBlock($, node)) {
+      flush();
+      const text = blockNode($, node);
+      if (text.trim()) blocks.push(text);
+    } else {
+      inline.push(node);
+    }
+  }
+  flush();
+  return blocks.join(separator);
+}
+
+/**
+ * Convert a post's HTML to markdown, keeping links, formatting, images with
+ * their captions, lists, quotes, tables and footnotes. Embeds with nothing to
+ * translate are left out.
+ */
+function htmlToMarkdown(html) {
+  const $ = cheerio.load(html);
+  return blocksToMarkdown($, $("body")[0].children)
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
 }
 
 /**
@@ -61,21 +289,40 @@ function parseInput(slugOrUrl) {
 }
 
 /**
- * Fetch a Substack post via the API and extract title, subtitle, content, and metadata.
+ * Session cookie of a paid subscriber (or the publisher) of a publication,
+ * from SUBSTACK_COOKIE_<ID> (e.g. SUBSTACK_COOKIE_CONTENIDO), or null. With
+ * it, Substack's API returns paywalled posts in full.
+ */
+function subscriberCookie(publication) {
+  const name = `SUBSTACK_COOKIE_${publication.id.toUpperCase().replace(/-/g, "_")}`;
+  return process.env[name] || null;
+}
+
+/**
+ * Fetch a publication's Substack post via the API and extract title, subtitle, content, and metadata.
  * Accepts a slug ("product-truth"), a UUID, or a full URL (including draft preview links).
  * Works for both published posts and drafts.
+ *
+ * Paid posts (paywalled) only come with the preview before the paywall
+ * (truncated), unless authenticated is set and the publication has a
+ * working subscriber cookie configured (checked by comparing with the
+ * preview, which costs a second request).
  */
-async function fetchPost(slugOrUrl) {
+async function fetchPost(
+  publication,
+  slugOrUrl,
+  { authenticated = false } = {}
+) {
   const identifier = parseInput(slugOrUrl);
+  const base = publication.substackUrl;
+
+  const headers = { "User-Agent": USER_AGENT };
+  const cookie = authenticated ? subscriberCookie(publication) : null;
+  if (cookie) headers.Cookie = cookie;
 
   // Use Substack's API — works for slugs, UUIDs, published posts, and drafts
-  const apiUrl = `${SUBSTACK_BASE}/api/v1/posts/${identifier}`;
-  const res = await fetch(apiUrl, {
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (compatible; NestTranslator/1.0; +https://github.com/nest-translator)",
-    },
-  });
+  const apiUrl = `${base}/api/v1/posts/${identifier}`;
+  const res = await fetch(apiUrl, { headers });
 
   if (!res.ok) {
     throw new Error(`Failed to fetch post: ${res.status} ${res.statusText}`);
@@ -86,30 +333,174 @@ async function fetchPost(slugOrUrl) {
   // The API returns the real slug even when fetched by UUID
   const slug = post.slug || identifier;
 
-  // Convert body_html to markdown-ish text that preserves links
-  let contentText = "";
+  // Convert body_html to markdown that preserves links and formatting
   const contentHtml = post.body_html || "";
-  if (contentHtml) {
-    contentText = htmlToMarkdown(contentHtml);
-  }
+  const contentText = contentHtml ? htmlToMarkdown(contentHtml) : "";
 
   const meta = {
     authors: (post.publishedBylines || []).map((a) => a.name).join(", ") || "",
     datePublished: post.post_date || "",
     image: post.cover_image || "",
     description: post.description || post.subtitle || "",
-    url: post.canonical_url || `${SUBSTACK_BASE}/p/${slug}`,
+    url: post.canonical_url || `${base}/p/${slug}`,
   };
 
+  const paywalled = PAID_AUDIENCES.has(post.audience);
+  // A cookie that has expired or lost its subscription gets the preview
+  // like anyone else, so only a body longer than the preview counts as full
+  const truncated =
+    paywalled &&
+    !(cookie && (await isLongerThanPreview(publication, slug, contentHtml)));
+
   return {
     slug,
     title: post.title || "",
     subtitle: post.subtitle || "",
     contentHtml,
     contentText,
-    originalUrl: post.canonical_url || `${SUBSTACK_BASE}/p/${slug}`,
+    originalUrl: post.canonical_url || `${base}/p/${slug}`,
     meta,
+    paywalled,
+    truncated,
   };
 }
 
-module.exports = { fetchPost };
+/**
+ * Whether a paid post's body has more text than its public preview.
+ */
+async function isLongerThanPreview(publication, slug, contentHtml) {
+  const preview = await fetchPost(publication, slug);
+  const textLength = (html) => cheerio.load(html).text().trim().length;
+  return textLength(contentHtml) > textLength(preview.contentHtml);
+}
+
+// Substack is asked about each post at most once per TTL by lookupPost,
+// found or not
+const POST_TTL_MS = 5 * 60 * 1000;
+
+const recentPosts = new Map();
+
+/**
+ * fetchPost with a short-lived cache. Resolves null if the post doesn't exist.
+ */
+async function lookupPost(publication, slug, { authenticated = false } = {}) {
+  const now = Date.now();
+  const key = `${publication.id}:${slug}${authenticated ? FULL_POST_SUFFIX : ""}`;
+  const hit = recentPosts.get(key);
+  if (hit && hit.expiresAt > now) return hit.post;
+
+  let post;
+  try {
+    post = await fetchPost(publication, slug, { authenticated });
+  } catch (err) {
+    console.log(`Post lookup failed for ${slug}: ${err.message}`);
+    post = null;
+  }
+
+  for (const [k, entry] of recentPosts) {
+    if (entry.expiresAt <= now) recentPosts.delete(k);
+  }
+  recentPosts.set(key, { post, expiresAt: now + POST_TTL_MS });
+  return post;
+}
+
+/**
+ * Slug of a widget postId ("/p/product-truth"), or null if it isn't a post path.
+ */
+function slugFromPostId(postId) {
+  const match = String(postId).match(/^\/p\/([a-z0-9-]+)\/?$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * postId the translation of a paywalled post's full text is cached under.
+ * slugFromPostId doesn't accept it, so it never gets a public /read page.
+ */
+function fullPostId(postId) {
+  return `${postId}${FULL_POST_SUFFIX}`;
+}
+
+/**
+ * Keep a fetched post (e.g. a draft from a share link) for recallPost.
+ */
+function rememberPost(publication, post) {
+  postMetaCache.set(`${publication.id}:${post.slug}`, post);
+}
+
+/**
+ * A post kept by rememberPost, or undefined.
+ */
+function recallPost(publication, slug) {
+  return postMetaCache.get(`${publication.id}:${slug}`);
+}
+
+/**
+ * Source of a post fetched from Substack, as passed to translatePost. /read,
+ * Slack and the scheduler must agree on this so that pre-translating warms
+ * the /read cache.
+ */
+function postSource({ title, subtitle, contentHtml, contentText }) {
+  return contentHtml
+    ? { title, subtitle, contentHtml }
+    : { title, subtitle, content: contentText };
+}
+
+/**
+ * List a publication's most recent posts, newest first: [{ slug, title, publishedAt }].
+ * Reads Substack's archive API and falls back to the RSS feed if that fails.
+ */
+async function listRecentPosts(publication, limit = 10) {
+  const base = publication.substackUrl;
+  const headers = { "User-Agent": USER_AGENT };
+
+  try {
+    const res = await fetch(
+      `${base}/api/v1/archive?sort=new&offset=0&limit=${limit}`,
+      { headers }
+    );
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    const posts = await res.json();
+    return posts
+      .filter((post) => post.slug)
+      .map((post) => ({
+        slug: post.slug,
+        title: post.title || "",
+        publishedAt: post.post_date || "",
+      }));
+  } catch (err) {
+    console.log(
+      `Archive API failed for ${base} (${err.message}), trying RSS...`
+    );
+  }
+
+  const res = await fetch(`${base}/feed`, { headers });
+  if (!res.ok) {
+    throw new Error(`Failed to fetch feed: ${res.status} ${res.statusText}`);
+  }
+  const $ = cheerio.load(await res.text(), { xmlMode: true });
+  return $("item")
+    .toArray()
+    .map((item) => {
+      const link = $(item).children("link").text();
+      const slug = (link.match(/\/p\/([a-z0-9-]+)/i) || [])[1];
+      return {
+        slug,
+        title: $(item).children("title").text(),
+        publishedAt: $(item).children("pubDate").text(),
+      };
+    })
+    .filter((post) => post.slug)
+    .slice(0, limit);
+}
+
+module.exports = {
+  fetchPost,
+  lookupPost,
+  slugFromPostId,
+  fullPostId,
+  subscriberCookie,
+  postSource,
+  listRecentPosts,
+  rememberPost,
+  recallPost,
+};
@@ -0,0 +1,152 @@
+const {
+  fetchPost,
+  fullPostId,
+  postSource,
+  listRecentPosts,
+  subscriberCookie,
+} = require("./reader");
+const { isCached } = require("./translator");
+const { listPublications } = require("./publications");
+const { submitTranslation } = require("./jobs");
+const { checkBudget, BudgetExceededError } = require("./usage");
+
+// Minutes between archive polls; 0 turns automatic pre-translation off
+const INTERVAL_MINUTES = Number(
+  process.env.PRETRANSLATE_INTERVAL_MINUTES ?? 15
+);
+
+// Only the newest posts are checked, so a big back catalogue isn't
+// translated all at once when the scheduler is first enabled
+const RECENT_POSTS = Number(process.env.PRETRANSLATE_RECENT_POSTS || 10);
+
+const state = {
+  running: false,
+  lastRunAt: null,
+  nextRunAt: null,
+  lastRun: null,
+  publications: {},
+};
+
+/**
+ * Queue a translation of one post into every language of its publication
+ * that doesn't have a translation of the current text yet. Returns the jobs.
+ * Paid posts are translated as the public preview (for /read and the feeds)
+ * and, when the publication has a subscriber cookie, in full as well (for
+ * subscribers using the widget).
+ */
+async function pretranslatePost(publication, slug) {
+  const post = await fetchPost(publication, slug);
+  if (!post.contentHtml && !post.contentText) return [];
+
+  const postId = `/p/${post.slug}`;
+  const jobs = queueMissing(publication, postId, postSource(post), {
+    // Picked up by the completion listener to tell the team channel
+    notify: [{ type: "channel", slug: post.slug, title: post.title }],
+  });
+
+  if (post.paywalled && subscriberCookie(publication)) {
+    const full = await fetchPost(publication, slug, { authenticated: true });
+    // Still the preview when the cookie no longer works
+    if (!full.truncated) {
+      jobs.push(
+        ...queueMissing(publication, fullPostId(postId), postSource(full), {})
+      );
+    }
+  }
+
+  return jobs;
+}
+
+/**
+ * Submit a translation of source into each of the publication's languages
+ * it isn't cached in yet. Returns the jobs.
+ */
+function queueMissing(publication, postId, source, options) {
+  return publication.languages
+    .filter((lang) => !isCached(publication, postId, source, lang))
+    .map((lang) =>
+      submitTranslation(
+        { publication, postId, lang, source, entry: "pre-translate" },
+        options
+      )
+    );
+}
+
+/**
+ * Check every publication's recent posts once and queue translations of the
+ * new or updated ones. Posts are fetched one at a time to keep the load on
+ * Substack low. Returns a summary, or null if a run is already in progress.
+ */
+async function runScheduler() {
+  if (state.running) return null;
+  state.running = true;
+  state.lastRunAt = new Date().toISOString();
+  const summary = { checked: 0, queued: 0, failed: 0 };
+
+  try {
+    // Nothing could be queued anyway
+    checkBudget();
+    for (const publication of listPublications()) {
+      const status = { lastCheckedAt: new Date().toISOString(), error: null };
+      state.publications[publication.id] = status;
+      try {
+        const posts = await listRecentPosts(publication, RECENT_POSTS);
+        for (const { slug } of posts) {
+          summary.checked++;
+          try {
+            const jobs = await pretranslatePost(publication, slug);
+            summary.queued += jobs.length;
+          } catch (err) {
+            console.error(`Pre-translate ${slug} failed:`, err.message);
+            summary.failed++;
+          }
+        }
+      } catch (err) {
+        console.error(`Polling ${publication.id} failed:`, err.message);
+        status.error = err.message;
+      }
+    }
+  } catch (err) {
+    if (!(err instanceof BudgetExceededError)) throw err;
+    console.log(`Pre-translation skipped: ${err.message}`);
+    summary.skipped = err.message;
+  } finally {
+    state.running = false;
+    state.lastRun = summary;
+  }
+
+  return summary;
+}
+
+/**
+ * Poll on an interval (PRETRANSLATE_INTERVAL_MINUTES).
+ */
+function startScheduler() {
+  if (!INTERVAL_MINUTES) return;
+  const intervalMs = INTERVAL_MINUTES * 60 * 1000;
+
+  const tick = () => {
+    state.nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+    runScheduler().catch((err) =>
+      console.error("Scheduler error:", err.message)
+    );
+  };
+  setInterval(tick, intervalMs).unref();
+  // First poll shortly after startup rather than a full interval later
+  setTimeout(tick, 10 * 1000).unref();
+  state.nextRunAt = new Date(Date.now() + 10 * 1000).toISOString();
+}
+
+/**
+ * Scheduler state for the admin endpoint.
+ */
+function getSchedulerState() {
+  return {
+    enabled: INTERVAL_MINUTES > 0,
+    intervalMinutes: INTERVAL_MINUTES,
+    recentPosts: RECENT_POSTS,
+    ...state,
+  };
+}
+
+module.exports = { startScheduler, runScheduler, getSchedulerState };
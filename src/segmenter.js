@@ -0,0 +1,249 @@
+const cheerio = require("cheerio");
+
+// Elements that flow inside a line of text. A run of these (plus text nodes)
+// forms one translatable segment.
+const INLINE_TAGS = new Set([
+  "a",
+  "abbr",
+  "b",
+  "bdi",
+  "bdo",
+  "br",
+  "cite",
+  "code",
+  "data",
+  "del",
+  "dfn",
+  "em",
+  "i",
+  "img",
+  "ins",
+  "kbd",
+  "mark",
+  "q",
+  "s",
+  "samp",
+  "small",
+  "span",
+  "strong",
+  "sub",
+  "sup",
+  "time",
+  "u",
+  "var",
+  "wbr",
+]);
+
+// Inline elements that never have children
+const VOID_TAGS = new Set(["br", "img", "wbr"]);
+
+// Subtrees that are never translated
+const SKIP_TAGS = new Set([
+  "script",
+  "style",
+  "noscript",
+  "pre",
+  "svg",
+  "iframe",
+  "math",
+  "textarea",
+  "template",
+  "video",
+  "audio",
+  "object",
+]);
+
+/**
+ * True if el is an inline element whose whole subtree is inline.
+ */
+function isInline(el) {
+  if (el.type === "text") return true;
+  if (el.type !== "tag" || !INLINE_TAGS.has(el.name)) return false;
+  return (el.children || []).every(
+    (child) => child.type !== "tag" || isInline(child)
+  );
+}
+
+function nodeText(node) {
+  if (node.type === "text") return node.data;
+  return (node.children || []).map(nodeText).join("");
+}
+
+/**
+ * Walk the tree and call onRun(nodes) for every run of adjacent inline
+ * nodes that contains translatable text, in document order.
+ */
+function walkRuns(node, onRun) {
+  let run = [];
+  const flush = () => {
+    if (/\p{L}/u.test(run.map(nodeText).join(""))) onRun(run);
+    run = [];
+  };
+
+  for (const child of node.children || []) {
+    if (isInline(child)) {
+      run.push(child);
+    } else {
+      flush();
+      if (child.type === "tag" && !SKIP_TAGS.has(child.name)) {
+        walkRuns(child, onRun);
+      }
+    }
+  }
+  flush();
+}
+
+function escText(str) {
+  return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function openTag(el) {
+  const attrs = Object.entries(el.attribs || {})
+    .map(([k, v]) => ` ${k}="${escText(v).replace(/"/g, "&quot;")}"`)
+    .join("");
+  return `<${el.name}${attrs}>`;
+}
+
+/**
+ * Serialize a run as text with numbered placeholder tags (<x0>…</x0>, <x1/>)
+ * standing in for the inline elements, so the model never sees attributes.
+ */
+function encodeRun(run) {
+  const elements = [];
+
+  function encode(node) {
+    if (node.type === "text") return node.data.replace(/\s+/g, " ");
+    if (node.type !== "tag") return "";
+    const id = elements.length;
+    elements.push(node);
+    if (VOID_TAGS.has(node.name)) return `<x${id}/>`;
+    return `<x${id}>${node.children.map(encode).join("")}</x${id}>`;
+  }
+
+  const text = run.map(encode).join("");
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return { text: match[2], lead: match[1], trail: match[3], elements };
+}
+
+/**
+ * Turn translated placeholder text back into HTML using the original
+ * elements. Text is escaped; unknown or unbalanced placeholders are dropped.
+ */
+function decodeRun(text, elements) {
+  const stack = [];
+  let html = "";
+
+  for (const part of text.split(/(<\/?x\d+\/?>)/)) {
+    const tag = part.match(/^<(\/?)x(\d+)(\/?)>$/);
+    if (!tag) {
+      html += escText(part);
+      continue;
+    }
+    const el = elements[Number(tag[2])];
+    if (!el) continue;
+    if (tag[3] || VOID_TAGS.has(el.name)) {
+      if (!tag[1]) html += openTag(el);
+    } else if (!tag[1]) {
+      stack.push(el);
+      html += openTag(el);
+    } else if (stack.includes(el)) {
+      // Close anything the model left open inside this element
+      while (stack.length) {
+        const open = stack.pop();
+        html += `</${open.name}>`;
+        if (open === el) break;
+      }
+    }
+  }
+  while (stack.length) html += `</${stack.pop().name}>`;
+
+  return html;
+}
+
+/**
+ * Parse an HTML fragment and collect its segment runs, in document order.
+ */
+function loadRuns(html) {
+  const $ = cheerio.load(html, null, false);
+  const runs = [];
+  walkRuns($.root()[0], (run) => runs.push(run));
+  return { $, runs };
+}
+
+/**
+ * Replace each run with replace(run, i), or leave it alone when that returns
+ * null, and serialize the result.
+ */
+function replaceRuns(html, replace) {
+  const { $, runs } = loadRuns(html);
+
+  runs.forEach((run, i) => {
+    const replacement = replace(run, i);
+    if (replacement === null) return;
+    // .before() is a no-op on text nodes, so replace the first node instead
+    run.slice(1).forEach((node) => $(node).remove());
+    $(run[0]).replaceWith(replacement);
+  });
+
+  return $.html();
+}
+
+/**
+ * Extract the translatable segments of an HTML fragment, in document order.
+ * Each segment is text with placeholder tags for its inline markup.
+ */
+function extractSegments(html) {
+  return loadRuns(html).runs.map((run) => encodeRun(run).text);
+}
+
+/**
+ * Rebuild the HTML fragment with each segment replaced by its translation.
+ * translations[i] corresponds to extractSegments(html)[i]; missing entries
+ * keep the original text.
+ */
+function reinsertSegments(html, translations) {
+  return replaceRuns(html, (run, i) => {
+    const translated = translations[i];
+    if (typeof translated !== "string") return null;
+    const { lead, trail, elements } = encodeRun(run);
+    return lead + decodeRun(translated, elements) + trail;
+  });
+}
+
+/**
+ * Wrap every segment in <span data-nest-seg="i"> so a client can fill in
+ * translations one segment at a time while they stream in.
+ */
+function markSegments(html) {
+  return replaceRuns(html, (run, i) => {
+    const $ = cheerio.load("", null, false);
+    const inner = run.map((node) => $.html(node)).join("");
+    return `<span data-nest-seg="${i}">${inner}</span>`;
+  });
+}
+
+/**
+ * Returns decode(i, text) turning the translation of segment i into HTML,
+ * without re-parsing the document for every segment.
+ */
+function segmentDecoder(html) {
+  const encoded = loadRuns(html).runs.map(encodeRun);
+  return (i, text) =>
+    encoded[i] ? decodeRun(text, encoded[i].elements) : escText(text);
+}
+
+/**
+ * Strip placeholder tags, for segments that must come back as plain text
+ * (titles, subtitles).
+ */
+function stripPlaceholders(text) {
+  return text.replace(/<\/?x\d+\/?>/g, "");
+}
+
+module.exports = {
+  extractSegments,
+  reinsertSegments,
+  markSegments,
+  segmentDecoder,
+  stripPlaceholders,
+};
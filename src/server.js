@@ -1,16 +1,112 @@
 const express = require("express");
-const crypto = require("crypto");
 const cors = require("cors");
 const path = require("path");
-const { translatePost, isCached } = require("./translator");
-const { fetchPost } = require("./reader");
-const { renderPage } = require("./template");
+const {
+  translatePost,
+  isCached,
+  getCachedTranslation,
+  listTranslations,
+  deleteTranslation,
+  exportTranslations,
+  importTranslations,
+  getEditableTranslation,
+  saveEditedTranslation,
+  regenerateParagraph,
+  getHistory,
+  versionStatus,
+} = require("./translator");
+const {
+  fetchPost,
+  lookupPost,
+  slugFromPostId,
+  fullPostId,
+  postSource,
+  recallPost,
+  listRecentPosts,
+} = require("./reader");
+const {
+  renderPage,
+  renderPendingPage,
+  renderIndexPage,
+} = require("./template");
+const { renderFeed, renderSitemap } = require("./feed");
+// Shared with the widget, which loads it from /markdown.js
+const { renderMarkdown } = require("../public/markdown");
+const {
+  renderSocialImage,
+  SOCIAL_IMAGE_WIDTH,
+  SOCIAL_IMAGE_HEIGHT,
+} = require("./socialimage");
+const {
+  latestServable,
+  translatedLanguages,
+  listTranslatedPosts,
+  searchTranslatedPosts,
+} = require("./archive");
+const { markSegments } = require("./segmenter");
+const { requireAdmin, requireApiKey, hasApiKey } = require("./auth");
+const { createRateLimiter } = require("./ratelimit");
+const { verifyPostSource } = require("./verify");
+const {
+  verifySlackRequest,
+  canApprove,
+  parseCommand,
+  escapeMrkdwn,
+  translationMessage,
+  statusMessage,
+  listMessage,
+  helpText,
+  postSlackResponse,
+  postToChannel,
+} = require("./slack");
+const {
+  EVENTS: WEBHOOK_EVENTS,
+  listWebhooks,
+  saveWebhook,
+  removeWebhook,
+  sendEvent,
+  deliveryQueue,
+  publicDelivery,
+} = require("./webhooks");
+const { usageStats, checkBudget, BudgetExceededError } = require("./usage");
+const { listTerms, addTerm, removeTerm } = require("./glossary");
+const { renderEditorPage } = require("./editor");
+const { getSettings, updateSettings, isServable } = require("./settings");
+const {
+  startScheduler,
+  runScheduler,
+  getSchedulerState,
+} = require("./scheduler");
+const {
+  translationQueue,
+  fetchJobSource,
+  submitTranslation,
+  submitRetranslation,
+  awaitTranslation,
+  translateNow,
+  publicJob,
+} = require("./jobs");
+const { getLanguage } = require("./languages");
+const {
+  listPublications,
+  getPublication,
+  defaultPublication,
+  publicationForUrl,
+  publicationLanguages,
+  savePublication,
+  removePublication,
+} = require("./publications");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Cache post metadata so /read/:slug works even for unpublished drafts
-const postMetaCache = new Map();
+// Public URL of this server, for links sent out of the app (Slack, feeds)
+const APP_URL = process.env.APP_URL || "";
+
+// Number of proxies in front of the app (e.g. 1 on Railway), so req.ip is
+// the reader's address rather than the proxy's
+const TRUST_PROXY = Number(process.env.TRUST_PROXY || 0);
+if (TRUST_PROXY) app.set("trust proxy", TRUST_PROXY);
 
 // --- CORS ---
 const allowedOrigins = (() => {
@@ -36,6 +132,11 @@ app.use(
         return callback(null, true);
       }
 
+      // Allow publications' custom domains
+      if (publicationForUrl(origin)) {
+        return callback(null, true);
+      }
+
       // In development, allow localhost
       if (/^https?:\/\/localhost(:\d+)?$/.test(origin)) {
         return callback(null, true);
@@ -46,7 +147,16 @@ app.use(
   })
 );
 
-// Capture raw body for Slack signature verification, then parse
+// Cache imports (see /api/admin/cache/import) are far larger than any other
+// request, so they get their own limit, and only once the caller is an admin
+app.use(
+  "/api/admin/cache/import",
+  requireAdmin,
+  express.json({ limit: process.env.CACHE_IMPORT_LIMIT || "50mb" })
+);
+
+// Capture raw body for Slack signature verification, then parse. Only Slack
+// sends form bodies; everything else takes JSON
 app.use(
   express.json({
     limit: "1mb",
@@ -56,6 +166,7 @@ app.use(
   })
 );
 app.use(
+  "/api/slack",
   express.urlencoded({
     extended: true,
     verify: (req, _res, buf) => {
@@ -72,155 +183,1253 @@ app.get("/health", (_req, res) => {
   res.json({ status: "ok", timestamp: new Date().toISOString() });
 });
 
+/**
+ * Source fields of a translate request. Callers send either markdown-ish
+ * `content` or the post's `contentHtml` (structure-preserving translation).
+ */
+function pickSource({ title, subtitle, content, contentHtml }) {
+  return contentHtml
+    ? { title, subtitle, contentHtml }
+    : { title, subtitle, content };
+}
+
+/**
+ * Publication a request is for: the one it names (`publication` in the body
+ * or query, e.g. from the widget's data-publication attribute), else the one
+ * whose Substack or custom domain it comes from, else the default. Null if
+ * the named publication doesn't exist.
+ */
+function resolvePublication(req) {
+  const id = (req.body && req.body.publication) || req.query.publication;
+  if (id) return getPublication(String(id));
+  return publicationForUrl(req.get("Origin")) || defaultPublication();
+}
+
+/**
+ * Middleware: resolve the request's publication into req.publication.
+ */
+function withPublication(req, res, next) {
+  req.publication = resolvePublication(req);
+  if (!req.publication) {
+    return res.status(400).json({ error: "Unknown publication" });
+  }
+  next();
+}
+
+/**
+ * Whether /api/translate would serve a post's translation into lang: the
+ * translation of the post's current text, or the one it would make if there
+ * is none yet. Without the post (postId isn't a post path, or Substack can't
+ * be reached), whether any translation of it is servable.
+ */
+function servesTranslation(publication, postId, post, lang) {
+  if (!post) return Boolean(latestServable(publication, postId, lang));
+  const current = getCachedTranslation(
+    publication,
+    postId,
+    postSource(post),
+    lang
+  );
+  return isServable(publication, current ? current.status : "draft");
+}
+
+// --- Supported languages (the widget builds its menu from this) ---
+// The publication's target languages. With ?postId=, languages whose
+// translation of the post as published isn't approved yet are left out when
+// approval is required.
+app.get("/api/languages", withPublication, async (req, res) => {
+  const { publication } = req;
+  const postId = req.query.postId ? String(req.query.postId) : null;
+  const slug = postId && slugFromPostId(postId);
+  const post = slug ? await lookupPost(publication, slug) : null;
+  const languages = publicationLanguages(publication)
+    .filter(
+      (l) => !postId || servesTranslation(publication, postId, post, l.code)
+    )
+    .map(({ code, name }) => ({ code, name }));
+  res.json({
+    publication: publication.id,
+    defaultLang: publication.languages[0],
+    languages,
+  });
+});
+
+/**
+ * Error body for translations the publication doesn't serve yet.
+ */
+function pendingReview(result) {
+  return { error: "Translation pending review", status: result.status };
+}
+
+/**
+ * Validate a /api/translate body. Returns an error message, or null if valid.
+ */
+function validateTranslateRequest({ publication, postId, lang }, source) {
+  if (!postId) return "postId is required";
+  if (!source.content && !source.contentHtml && !source.title) {
+    return "At least title or content is required";
+  }
+  if (!publication.languages.includes(lang)) {
+    return `Unsupported language: ${lang}`;
+  }
+  return null;
+}
+
+// --- Abuse protection for the public translate endpoints ---
+const MAX_CONTENT_CHARS = Number(process.env.MAX_CONTENT_CHARS || 300000);
+
+// Every translate request counts against the reader's IP; only requests that
+// actually call the model count against the post
+const ipLimiter = createRateLimiter({
+  limit: Number(process.env.RATE_LIMIT_PER_IP || 30),
+  windowMs: 10 * 60 * 1000,
+});
+const postLimiter = createRateLimiter({
+  limit: Number(process.env.RATE_LIMIT_PER_POST || 10),
+  windowMs: 60 * 60 * 1000,
+});
+
+/**
+ * Total size of a request's source fields, in characters.
+ */
+function sourceSize({ title, subtitle, content, contentHtml }) {
+  return [title, subtitle, content, contentHtml].reduce(
+    (sum, field) => sum + (typeof field === "string" ? field.length : 0),
+    0
+  );
+}
+
+/**
+ * Decide whether a translate request may run. Callers with an API key are
+ * trusted; readers are rate limited and must submit the content of a real
+ * post. Returns { status, error, retryAfter? } to reject, or { postId, post,
+ * source } to allow: the postId to cache the translation under (a paywalled
+ * post's full text is kept apart from its preview), the post the source was
+ * checked against (null for trusted callers), and the source to translate.
+ * For readers that's the post as fetched from Substack, never what the
+ * widget sent, so the widget, /read, Slack and the scheduler share one cache
+ * entry per post.
+ */
+async function checkTranslateAccess(
+  req,
+  { publication, postId, lang },
+  source
+) {
+  if (sourceSize(source) > MAX_CONTENT_CHARS) {
+    return { status: 413, error: "Content too large" };
+  }
+  if (hasApiKey(req)) return { postId, post: null, source };
+
+  const perIp = ipLimiter.hit(req.ip);
+  if (!perIp.allowed) {
+    return {
+      status: 429,
+      error: "Too many requests",
+      retryAfter: perIp.retryAfter,
+    };
+  }
+
+  const verified = await verifyPostSource(publication, postId, source);
+  if (verified.error) return { status: 403, error: verified.error };
+
+  const { post } = verified;
+  const cacheId =
+    post.paywalled && !post.truncated ? fullPostId(postId) : postId;
+  if (!isCached(publication, cacheId, verified.source, lang)) {
+    const perPost = postLimiter.hit(`${publication.id}:${postId}`);
+    if (!perPost.allowed) {
+      return {
+        status: 429,
+        error: "Too many translations of this post",
+        retryAfter: perPost.retryAfter,
+      };
+    }
+  }
+  return { postId: cacheId, post, source: verified.source };
+}
+
+/**
+ * The translated notice shown under a paywalled post's preview: { notice,
+ * cta, url } for the widget, which renders it itself.
+ */
+function paywallNotice(publication, lang) {
+  const { ui } = getLanguage(lang);
+  return {
+    notice: ui.paywallNotice,
+    cta: ui.paywallCta,
+    url: `${publication.substackUrl}/subscribe`,
+  };
+}
+
+function sendDenied(res, { status, error, retryAfter }) {
+  if (retryAfter) res.set("Retry-After", String(retryAfter));
+  res.status(status).json({ error });
+}
+
 // --- Translate endpoint ---
-app.post("/api/translate", async (req, res) => {
+app.post("/api/translate", withPublication, async (req, res) => {
   try {
-    const { postId, title, subtitle, content } = req.body;
+    const { publication } = req;
+    const { postId, lang = publication.languages[0] } = req.body;
+    const source = pickSource(req.body);
 
-    if (!postId) {
-      return res.status(400).json({ error: "postId is required" });
-    }
-    if (!content && !title) {
-      return res
-        .status(400)
-        .json({ error: "At least title or content is required" });
+    const error = validateTranslateRequest(
+      { publication, postId, lang },
+      source
+    );
+    if (error) return res.status(400).json({ error });
+
+    const access = await checkTranslateAccess(
+      req,
+      { publication, postId, lang },
+      source
+    );
+    if (access.error) return sendDenied(res, access);
+    const request = {
+      publication,
+      postId: access.postId,
+      lang,
+      source: access.source,
+      entry: hasApiKey(req) ? "api" : "widget",
+    };
+    const paywall =
+      access.post && access.post.truncated
+        ? paywallNotice(publication, lang)
+        : undefined;
+
+    const cached = isCached(publication, request.postId, request.source, lang);
+    // wait: false answers as soon as the job is queued; poll /api/jobs/:id
+    if (!cached && req.body.wait === false) {
+      const job = submitTranslation(request);
+      return res.status(202).json(publicJob(job));
     }
 
-    const result = await translatePost({ postId, title, subtitle, content });
-    res.json({ postId, cached: isCached(postId), ...result });
+    const result = await translateNow(request);
+    if (!isServable(publication, result.status)) {
+      return res.status(403).json(pendingReview(result));
+    }
+    res.json({ postId, cached, ...result, paywall });
   } catch (err) {
+    if (err instanceof BudgetExceededError) {
+      return res.status(503).json({ error: err.message });
+    }
     console.error("Translation error:", err.message);
     res.status(500).json({ error: "Translation failed", detail: err.message });
   }
 });
 
-// --- Pre-translate endpoint ---
-app.post("/api/pre-translate", async (req, res) => {
+// --- Streaming translate endpoint (Server-Sent Events) ---
+// Events: "job" (the queued job, whose status can be polled if the stream
+// drops), "start" (HTML mode: the source with segments marked for progressive
+// replacement), "segment" / "chunk" (partial results), then "done" with the
+// full result or "error". Cached translations come back as a single "done".
+// When approval is required nothing is streamed until the result is known to
+// be approved.
+app.post("/api/translate/stream", withPublication, async (req, res) => {
+  const { publication } = req;
+  const { postId, lang = publication.languages[0] } = req.body;
+  const source = pickSource(req.body);
+
+  const error = validateTranslateRequest({ publication, postId, lang }, source);
+  if (error) return res.status(400).json({ error });
+
+  let access;
+  try {
+    access = await checkTranslateAccess(
+      req,
+      { publication, postId, lang },
+      source
+    );
+  } catch (err) {
+    console.error("Translate access check error:", err.message);
+    return res.status(500).json({ error: "Translation failed" });
+  }
+  if (access.error) return sendDenied(res, access);
+  const request = {
+    publication,
+    postId: access.postId,
+    lang,
+    source: access.source,
+    entry: hasApiKey(req) ? "api" : "widget",
+  };
+  const paywall =
+    access.post && access.post.truncated
+      ? paywallNotice(publication, lang)
+      : undefined;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  // The job keeps running if the reader goes away, so the translation is
+  // cached for the next one
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
   try {
-    const { postId, title, subtitle, content } = req.body;
+    const cached = isCached(publication, request.postId, request.source, lang);
+    const progressive = !cached && !getSettings(publication).requireApproval;
 
-    if (!postId) {
-      return res.status(400).json({ error: "postId is required" });
+    let result;
+    if (cached) {
+      result = await translatePost(
+        { ...request, ...request.source },
+        { entry: request.entry }
+      );
+    } else {
+      const job = submitTranslation(request);
+      send("job", publicJob(job));
+      if (progressive && request.source.contentHtml) {
+        send("start", {
+          contentHtml: markSegments(request.source.contentHtml),
+        });
+      }
+      result = await awaitTranslation(job, {
+        onProgress: progressive ? (event) => send(event.type, event) : null,
+      });
+    }
+    if (isServable(publication, result.status)) {
+      send("done", { postId, cached, ...result, paywall });
+    } else {
+      send("error", pendingReview(result));
+    }
+  } catch (err) {
+    if (err instanceof BudgetExceededError) {
+      send("error", { error: err.message });
+    } else {
+      console.error("Streaming translation error:", err.message);
+      send("error", { error: "Translation failed", detail: err.message });
     }
+  }
+  if (!closed) res.end();
+});
+
+// --- Pre-translate endpoint (server-to-server, needs an API key) ---
+app.post(
+  "/api/pre-translate",
+  requireApiKey,
+  withPublication,
+  async (req, res) => {
+    try {
+      const { publication } = req;
+      const { postId, lang = publication.languages[0] } = req.body;
+      const source = pickSource(req.body);
+
+      if (!postId) {
+        return res.status(400).json({ error: "postId is required" });
+      }
+      if (!publication.languages.includes(lang)) {
+        return res.status(400).json({ error: `Unsupported language: ${lang}` });
+      }
+      if (sourceSize(source) > MAX_CONTENT_CHARS) {
+        return res.status(413).json({ error: "Content too large" });
+      }
+
+      // Only counts as cached if the translation matches the current source text
+      if (isCached(publication, postId, source, lang)) {
+        return res.json({ postId, lang, status: "already_cached" });
+      }
+
+      const job = submitTranslation({
+        publication,
+        postId,
+        lang,
+        source,
+        entry: "pre-translate",
+      });
+      // Waits by default so the caller knows when it's done; wait: false
+      // answers as soon as the job is queued
+      if (req.body.wait === false) {
+        return res
+          .status(202)
+          .json({ postId, lang, status: "queued", job: publicJob(job) });
+      }
+      await awaitTranslation(job);
+      res.json({ postId, lang, status: "cached", jobId: job.id });
+    } catch (err) {
+      if (err instanceof BudgetExceededError) {
+        return res.status(503).json({ error: err.message });
+      }
+      console.error("Pre-translate error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Pre-translation failed", detail: err.message });
+    }
+  }
+);
+
+// --- Translated archive index ---
+// /read/ lists the default publication's translations in its default
+// language; ?publication= and ?lang= pick others, ?q= searches, ?page= pages
+const INDEX_PAGE_SIZE = 10;
 
-    if (isCached(postId)) {
-      return res.json({ postId, status: "already_cached" });
+app.get("/read", async (req, res) => {
+  const publication = req.query.publication
+    ? getPublication(String(req.query.publication))
+    : defaultPublication();
+  // Plain text: both come straight from the query string
+  if (!publication) {
+    return res
+      .status(404)
+      .type("text/plain")
+      .send(`Unknown publication: ${req.query.publication}`);
+  }
+  const lang = req.query.lang
+    ? String(req.query.lang)
+    : publication.languages[0];
+  if (!publication.languages.includes(lang)) {
+    return res
+      .status(404)
+      .type("text/plain")
+      .send(`Unsupported language: ${lang}`);
+  }
+  const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  const page = Math.max(1, Math.floor(Number(req.query.page)) || 1);
+
+  try {
+    const posts = searchTranslatedPosts(
+      listTranslatedPosts(publication, lang),
+      query
+    );
+    const pageCount = Math.max(1, Math.ceil(posts.length / INDEX_PAGE_SIZE));
+    const pagePosts = posts.slice(
+      (page - 1) * INDEX_PAGE_SIZE,
+      page * INDEX_PAGE_SIZE
+    );
+
+    // Dates and covers come from Substack (looked up briefly cached), or
+    // for drafts from what was kept when they were fetched
+    const items = await Promise.all(
+      pagePosts.map(async ({ slug, version }) => {
+        const post =
+          (await lookupPost(publication, slug)) ||
+          recallPost(publication, slug);
+        return {
+          href: readPath(publication, slug, lang),
+          title: version.title,
+          subtitle: version.subtitle,
+          date: post ? post.meta.datePublished : "",
+          image: post ? post.meta.image : "",
+        };
+      })
+    );
+
+    const pageHref = (n) => indexPath(publication, lang, { q: query, page: n });
+    const searchFields = {};
+    if (publication.id !== defaultPublication().id) {
+      searchFields.publication = publication.id;
     }
+    if (lang !== publication.languages[0]) searchFields.lang = lang;
+
+    res.send(
+      renderIndexPage({
+        publication,
+        language: getLanguage(lang),
+        items,
+        query,
+        searchAction: "/read/",
+        searchFields,
+        pagination: {
+          newerHref: page > 1 ? pageHref(page - 1) : null,
+          olderHref: page < pageCount ? pageHref(page + 1) : null,
+        },
+        alternates: publication.languages.map((code) => ({
+          hreflang: code,
+          href: `${appUrl(req)}${indexPath(publication, code, { page })}`,
+        })),
+      })
+    );
+  } catch (err) {
+    console.error("Index error:", err.message);
+    res.status(500).send("Failed to load translated posts. Please try again.");
+  }
+});
 
-    // Fire off translation (await so caller knows when it's done)
-    await translatePost({ postId, title, subtitle, content });
-    res.json({ postId, status: "cached" });
+/**
+ * Path of a publication's archive index in one language.
+ */
+function indexPath(publication, lang, { q, page } = {}) {
+  const params = new URLSearchParams();
+  if (publication.id !== defaultPublication().id) {
+    params.set("publication", publication.id);
+  }
+  if (lang !== publication.languages[0]) params.set("lang", lang);
+  if (q) params.set("q", q);
+  if (page > 1) params.set("page", String(page));
+  const query = params.toString();
+  return query ? `/read/?${query}` : "/read/";
+}
+
+/**
+ * English post URL on the publication's own domain.
+ */
+function originalPostUrl(publication, slug) {
+  const base = publication.customDomain
+    ? `https://${publication.customDomain}`
+    : publication.substackUrl;
+  return `${base}/p/${slug}`;
+}
+
+/**
+ * hreflang alternates of a translated post: the English original and every
+ * language the post has a public translation in.
+ */
+function postAlternates(req, publication, slug, originalUrl) {
+  return [
+    { hreflang: "en", href: originalUrl },
+    ...translatedLanguages(publication, `/p/${slug}`).map((lang) => ({
+      hreflang: lang,
+      href: `${appUrl(req)}${readPath(publication, slug, lang)}`,
+    })),
+  ];
+}
+
+// --- Social cards ---
+// Generated preview image for translated posts without a cover image
+app.get("/social/:publication/:lang/:slug.png", (req, res) => {
+  const { lang, slug } = req.params;
+  const publication = getPublication(req.params.publication);
+  if (!publication || !publication.languages.includes(lang)) {
+    return res.status(404).send("Not found");
+  }
+  const version = latestServable(publication, `/p/${slug}`, lang);
+  if (!version) return res.status(404).send("Not found");
+
+  try {
+    const png = renderSocialImage({
+      title: version.title,
+      publication,
+      language: getLanguage(lang),
+    });
+    res.set("Cache-Control", "public, max-age=86400");
+    res.type("png").send(png);
   } catch (err) {
-    console.error("Pre-translate error:", err.message);
-    res
-      .status(500)
-      .json({ error: "Pre-translation failed", detail: err.message });
+    console.error("Social image error:", err.message);
+    res.status(500).send("Failed to render image");
   }
 });
 
+/**
+ * Path of a translated post's generated social card.
+ */
+function socialImagePath(publication, slug, lang) {
+  return `/social/${publication.id}/${lang}/${slug}.png`;
+}
+
+// --- Sitemap ---
+// Every public translation and archive index, with hreflang alternates so
+// search engines pair each translation with its original
+app.get("/sitemap.xml", (req, res) => {
+  const urls = [];
+  for (const publication of listPublications()) {
+    const indexes = publication.languages.map((lang) => ({
+      hreflang: lang,
+      href: `${appUrl(req)}${indexPath(publication, lang)}`,
+    }));
+    for (const { href } of indexes)
+      urls.push({ loc: href, alternates: indexes });
+
+    for (const lang of publication.languages) {
+      for (const { slug, version } of listTranslatedPosts(publication, lang)) {
+        urls.push({
+          loc: `${appUrl(req)}${readPath(publication, slug, lang)}`,
+          lastmod: version.createdAt,
+          alternates: postAlternates(
+            req,
+            publication,
+            slug,
+            originalPostUrl(publication, slug)
+          ),
+        });
+      }
+    }
+  }
+  res.type("application/xml").send(renderSitemap(urls));
+});
+
+app.get("/robots.txt", (req, res) => {
+  res
+    .type("text/plain")
+    .send(`User-agent: *\nAllow: /\n\nSitemap: ${appUrl(req)}/sitemap.xml\n`);
+});
+
 // --- Standalone translated post page ---
-app.get("/read/:slug", async (req, res) => {
+// The default publication's posts live at /read/:slug (its default language)
+// and /read/:lang/:slug; every publication's at /read/:publication/:lang/:slug
+app.get("/read/:slug", (req, res) => {
+  const publication = defaultPublication();
+  renderTranslatedPost(
+    req,
+    res,
+    publication,
+    publication.languages[0],
+    req.params.slug
+  );
+});
+
+app.get("/read/:lang/:slug", (req, res) => {
+  const { lang, slug } = req.params;
+  renderTranslatedPost(req, res, defaultPublication(), lang, slug);
+});
+
+app.get("/read/:publication/:lang/:slug", (req, res) => {
+  const { lang, slug } = req.params;
+  const publication = getPublication(req.params.publication);
+  if (!publication) {
+    return res
+      .status(404)
+      .type("text/plain")
+      .send(`Unknown publication: ${req.params.publication}`);
+  }
+  renderTranslatedPost(req, res, publication, lang, slug);
+});
+
+/**
+ * Path of the standalone translated page for a post.
+ */
+function readPath(publication, slug, lang) {
+  if (publication.id !== defaultPublication().id) {
+    return `/read/${publication.id}/${lang}/${slug}`;
+  }
+  return lang === publication.languages[0]
+    ? `/read/${slug}`
+    : `/read/${lang}/${slug}`;
+}
+
+async function renderTranslatedPost(req, res, publication, lang, slug) {
+  if (!publication.languages.includes(lang)) {
+    // Plain text: lang comes straight from the URL
+    return res
+      .status(404)
+      .type("text/plain")
+      .send(`Unsupported language: ${lang}`);
+  }
   try {
-    const { slug } = req.params;
     const postId = `/p/${slug}`;
 
     // Try to fetch from Substack API; fall back to cached metadata (for drafts)
     let post;
     try {
-      post = await fetchPost(slug);
+      post = await fetchPost(publication, slug);
     } catch (fetchErr) {
       console.log(`API fetch failed for ${slug}, checking metadata cache...`);
-      post = postMetaCache.get(slug);
+      post = recallPost(publication, slug);
     }
 
-    if (!post || !post.contentText) {
+    if (!post || (!post.contentHtml && !post.contentText)) {
       return res
         .status(404)
-        .send("Post not found. If this is a draft, run /translate first to pre-cache it.");
+        .send(
+          "Post not found. If this is a draft, run /translate first to pre-cache it."
+        );
     }
 
     // Translate (uses cache if available)
-    const translated = await translatePost({
+    const translated = await translateNow({
+      publication,
       postId,
-      title: post.title,
-      subtitle: post.subtitle,
-      content: post.contentText,
+      lang,
+      source: postSource(post),
+      entry: "read",
     });
 
-    // Convert translated markdown-ish content to HTML
-    translated.contentHtml = formatContentToHtml(translated.content);
+    const language = getLanguage(lang);
+    if (!isServable(publication, translated.status)) {
+      return res.send(renderPendingPage({ post, language, publication }));
+    }
 
-    res.send(renderPage({ post, translated }));
+    res.send(
+      renderPage({
+        post,
+        translated: { ...translated, contentHtml: translatedHtml(translated) },
+        language,
+        publication,
+        canonicalUrl: `${appUrl(req)}${readPath(publication, post.slug, lang)}`,
+        image: post.meta.image
+          ? { url: post.meta.image }
+          : {
+              url: `${appUrl(req)}${socialImagePath(publication, post.slug, lang)}`,
+              width: SOCIAL_IMAGE_WIDTH,
+              height: SOCIAL_IMAGE_HEIGHT,
+            },
+        alternates: postAlternates(req, publication, slug, post.originalUrl),
+      })
+    );
   } catch (err) {
+    if (err instanceof BudgetExceededError) {
+      return res
+        .status(503)
+        .send(
+          "This post hasn't been translated yet, and new translations are paused until next month."
+        );
+    }
     console.error("Reader error:", err.message);
     res.status(500).send("Failed to load translated post. Please try again.");
   }
-});
+}
 
 /**
- * Convert translated plain text / markdown to HTML paragraphs.
+ * A translation's content as HTML. Structure-preserving translations come
+ * back as HTML; markdown-ish ones (API submissions) are rendered.
  */
-function formatContentToHtml(text) {
-  if (!text) return "";
-  if (text.includes("<p>") || text.includes("<div>")) return text;
-
-  return text
-    .split(/\n\n+/)
-    .map((para) => {
-      let html = para.trim();
-      if (!html) return "";
-      if (html.startsWith("### "))
-        return "<h3>" + inlineFormat(html.slice(4)) + "</h3>";
-      if (html.startsWith("## "))
-        return "<h2>" + inlineFormat(html.slice(3)) + "</h2>";
-      return "<p>" + inlineFormat(html).replace(/\n/g, "<br>") + "</p>";
-    })
-    .join("\n");
+function translatedHtml(translated) {
+  return translated.format === "html"
+    ? translated.contentHtml
+    : renderMarkdown(translated.content);
 }
 
-function inlineFormat(text) {
-  text = text.replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>");
-  text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-  return text;
+/**
+ * Absolute base URL for links: APP_URL, or the host the request came in on.
+ */
+function appUrl(req) {
+  return APP_URL || `${req.protocol}://${req.get("host")}`;
 }
 
-// --- Slack slash command ---
-const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET || "";
-const APP_URL = process.env.APP_URL || "";
+// --- Translated RSS feeds ---
+// The default publication's at /feed/:lang.xml, every publication's at
+// /feed/:publication/:lang.xml. Only posts with an approved (or, without the
+// approval gate, any) translation of their current text are listed.
+const FEED_POSTS = Number(process.env.FEED_POSTS || 20);
+
+// Built feeds are kept briefly, since each build fetches every listed post
+const FEED_TTL_MS = 10 * 60 * 1000;
+const feedCache = new Map();
+
+app.get("/feed/:lang.xml", (req, res) => {
+  renderTranslatedFeed(req, res, defaultPublication(), req.params.lang);
+});
+
+app.get("/feed/:publication/:lang.xml", (req, res) => {
+  const publication = getPublication(req.params.publication);
+  if (!publication) {
+    return res
+      .status(404)
+      .type("text/plain")
+      .send(`Unknown publication: ${req.params.publication}`);
+  }
+  renderTranslatedFeed(req, res, publication, req.params.lang);
+});
+
+async function renderTranslatedFeed(req, res, publication, lang) {
+  if (!publication.languages.includes(lang)) {
+    return res
+      .status(404)
+      .type("text/plain")
+      .send(`Unsupported language: ${lang}`);
+  }
+  const key = `${publication.id}:${lang}`;
+  const hit = feedCache.get(key);
+  if (hit && hit.expiresAt > Date.now()) {
+    return res.type("application/rss+xml").send(hit.xml);
+  }
+
+  try {
+    const recent = await listRecentPosts(publication, FEED_POSTS);
+    const posts = await Promise.all(
+      recent.map(({ slug }) =>
+        fetchPost(publication, slug).catch((err) => {
+          console.log(`Feed: fetching ${slug} failed: ${err.message}`);
+          return null;
+        })
+      )
+    );
+
+    const items = [];
+    for (const post of posts) {
+      if (!post || (!post.contentHtml && !post.contentText)) continue;
+      // Posts whose translation isn't ready yet are left out rather than
+      // translated here
+      const translated = getCachedTranslation(
+        publication,
+        `/p/${post.slug}`,
+        postSource(post),
+        lang
+      );
+      if (!translated || !isServable(publication, translated.status)) continue;
+      items.push({
+        post,
+        translated: { ...translated, contentHtml: translatedHtml(translated) },
+        link: `${appUrl(req)}${readPath(publication, post.slug, lang)}`,
+      });
+    }
+
+    const xml = renderFeed({
+      publication,
+      language: getLanguage(lang),
+      feedUrl: `${appUrl(req)}${req.path}`,
+      siteUrl: publication.substackUrl,
+      items,
+    });
+    feedCache.set(key, { xml, expiresAt: Date.now() + FEED_TTL_MS });
+    res.type("application/rss+xml").send(xml);
+  } catch (err) {
+    console.error("Feed error:", err.message);
+    res.status(500).send("Failed to build feed. Please try again.");
+  }
+}
+
+// --- Glossary admin ---
+// Each publication has its own glossary (?publication=, default otherwise)
+app.get("/api/admin/glossary", requireAdmin, withPublication, (req, res) => {
+  res.json({
+    publication: req.publication.id,
+    terms: listTerms(req.publication),
+  });
+});
+
+app.post("/api/admin/glossary", requireAdmin, withPublication, (req, res) => {
+  try {
+    res.status(201).json(addTerm(req.publication, req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete(
+  "/api/admin/glossary/:term",
+  requireAdmin,
+  withPublication,
+  (req, res) => {
+    if (!removeTerm(req.publication, req.params.term)) {
+      return res.status(404).json({ error: "Term not found" });
+    }
+    res.json({ removed: req.params.term });
+  }
+);
+
+// --- Publications ---
+app.get("/api/admin/publications", requireAdmin, (_req, res) => {
+  res.json({
+    defaultPublication: defaultPublication().id,
+    publications: listPublications(),
+  });
+});
+
+app.put("/api/admin/publications/:id", requireAdmin, (req, res) => {
+  try {
+    res.json(savePublication({ ...req.body, id: req.params.id }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Only publications added through the API can be removed; ones from the
+// config file revert to their configured version
+app.delete("/api/admin/publications/:id", requireAdmin, (req, res) => {
+  if (!removePublication(req.params.id)) {
+    return res
+      .status(404)
+      .json({ error: "Publication not found in the admin store" });
+  }
+  res.json({ removed: req.params.id });
+});
 
-function verifySlackRequest(req) {
-  if (!SLACK_SIGNING_SECRET) return false;
-  const timestamp = req.headers["x-slack-request-timestamp"];
-  if (!timestamp) return false;
-  // Reject requests older than 5 minutes
-  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > 300) return false;
-
-  const sigBase = `v0:${timestamp}:${req.rawBody}`;
-  const mySignature =
-    "v0=" +
-    crypto
-      .createHmac("sha256", SLACK_SIGNING_SECRET)
-      .update(sigBase)
-      .digest("hex");
-  const slackSignature = req.headers["x-slack-signature"] || "";
-  return crypto.timingSafeEqual(
-    Buffer.from(mySignature),
-    Buffer.from(slackSignature)
+// --- Automatic pre-translation ---
+app.get("/api/admin/scheduler", requireAdmin, (_req, res) => {
+  res.json(getSchedulerState());
+});
+
+// Start a poll now; it runs in the background, so check GET for progress
+app.post("/api/admin/scheduler/run", requireAdmin, (_req, res) => {
+  if (getSchedulerState().running) {
+    return res.status(409).json({ error: "A run is already in progress" });
+  }
+  runScheduler().catch((err) => console.error("Scheduler error:", err.message));
+  res.status(202).json(getSchedulerState());
+});
+
+// --- Translation jobs ---
+// Job ids are unguessable, so anyone holding one (the widget, a Slack
+// message) may poll its status
+app.get("/api/jobs/:id", (req, res) => {
+  const job = translationQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(publicJob(job));
+});
+
+app.get("/api/admin/jobs", requireAdmin, (_req, res) => {
+  res.json({ jobs: translationQueue.list().map(publicJob) });
+});
+
+// --- Usage and cost ---
+// Daily and monthly token/cost totals, cache hit rate and the monthly budget;
+// ?publication= narrows it to one publication, ?days= the daily series
+app.get("/api/stats", requireAdmin, (req, res) => {
+  const publication = req.query.publication
+    ? String(req.query.publication)
+    : null;
+  if (publication && !getPublication(publication)) {
+    return res
+      .status(404)
+      .json({ error: `Unknown publication: ${publication}` });
+  }
+  const days = Math.min(
+    366,
+    Math.max(1, Math.floor(Number(req.query.days)) || 30)
   );
+  res.json(usageStats({ publication, days }));
+});
+
+// --- Publication settings ---
+// Per publication (publication in the query or body, else the default one)
+app.get("/api/admin/settings", requireAdmin, withPublication, (req, res) => {
+  res.json(getSettings(req.publication));
+});
+
+app.put("/api/admin/settings", requireAdmin, withPublication, (req, res) => {
+  try {
+    // The body's publication picks whose settings to change; it isn't one
+    const { publication, ...patch } = req.body || {};
+    res.json(updateSettings(req.publication, patch));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// --- Editorial review ---
+app.get("/editor", requireAdmin, (_req, res) => {
+  res.send(renderEditorPage());
+});
+
+app.get("/api/admin/translations", requireAdmin, (_req, res) => {
+  res.json({ translations: listTranslations() });
+});
+
+// Translations are addressed by ?publication=&postId=&lang= (postIds contain
+// slashes), plus an optional &hash= to pick a version other than the current one
+app.get("/api/admin/translation", requireAdmin, withPublication, (req, res) => {
+  try {
+    const { postId, lang, hash } = req.query;
+    const translation = getEditableTranslation(
+      req.publication,
+      postId,
+      lang,
+      hash
+    );
+    if (!translation) {
+      return res.status(404).json({ error: "Translation not found" });
+    }
+    res.json(translation);
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+// Save an editor's changes with status "review" or "approved" (the default)
+app.put("/api/admin/translation", requireAdmin, withPublication, (req, res) => {
+  try {
+    const { postId, lang } = req.query;
+    const { sourceHash, edits, status } = req.body;
+    const translation = saveEditedTranslation(
+      req.publication,
+      postId,
+      lang,
+      sourceHash,
+      edits,
+      status
+    );
+    if (!translation) {
+      return res.status(404).json({ error: "Translation not found" });
+    }
+    if (translation.status === "approved") {
+      announceApproval(req.publication, postId, lang, translation);
+    }
+    res.json(translation);
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+app.post(
+  "/api/admin/translation/regenerate",
+  requireAdmin,
+  withPublication,
+  async (req, res) => {
+    try {
+      const { postId, lang, sourceHash, id } = req.body;
+      const text = await regenerateParagraph(
+        req.publication,
+        postId,
+        lang,
+        sourceHash,
+        id
+      );
+      if (text === null) {
+        return res.status(404).json({ error: "Translation not found" });
+      }
+      res.json({ id, text });
+    } catch (err) {
+      if (err instanceof BudgetExceededError) {
+        return res.status(503).json({ error: err.message });
+      }
+      console.error("Regenerate error:", err.message);
+      res
+        .status(500)
+        .json({ error: "Regeneration failed", detail: err.message });
+    }
+  }
+);
+
+// --- Cache management ---
+// Remove a cached translation (every version of it), addressed like GET
+app.delete(
+  "/api/admin/translation",
+  requireAdmin,
+  withPublication,
+  (req, res) => {
+    const { postId, lang } = req.query;
+    if (!deleteTranslation(req.publication, postId, lang)) {
+      return res.status(404).json({ error: "Translation not found" });
+    }
+    res.json({ removed: { publication: req.publication.id, postId, lang } });
+  }
+);
+
+/**
+ * Queue re-translations of cached entries ([{ publication, postId, lang }]).
+ * Returns { jobs, failed }. Once the budget is spent the rest are left
+ * unqueued; failed then ends with the entry that hit it.
+ */
+async function retranslateAll(entries) {
+  const jobs = [];
+  const failed = [];
+  for (const { publication: publicationId, postId, lang } of entries) {
+    const publication = getPublication(publicationId);
+    try {
+      if (!publication) throw new Error("Unknown publication");
+      const job = await submitRetranslation(publication, postId, lang);
+      if (!job) throw new Error("Translation not found");
+      jobs.push(publicJob(job));
+    } catch (err) {
+      failed.push({
+        publication: publicationId,
+        postId,
+        lang,
+        error: err.message,
+      });
+      if (err instanceof BudgetExceededError) break;
+    }
+  }
+  return { jobs, failed };
 }
 
-function extractSlugAndUrl(text) {
-  // Check for a full URL (could be a draft share link with ?token=...)
-  const urlMatch = text.match(/(https?:\/\/[^\s]+substack\.com\/p\/[^\s]+)/i);
-  if (urlMatch) {
-    const fullUrl = urlMatch[1];
-    const slugMatch = fullUrl.match(/\/p\/([a-z0-9-]+)/i);
-    return { slug: slugMatch ? slugMatch[1] : null, fullUrl };
+// Translate a cached entry again from its source; poll /api/jobs/:id for the
+// result. Versions an editor has worked on are kept over the new draft.
+app.post(
+  "/api/admin/translation/retranslate",
+  requireAdmin,
+  withPublication,
+  async (req, res) => {
+    try {
+      const { postId, lang } = req.body;
+      const job = await submitRetranslation(req.publication, postId, lang);
+      if (!job) return res.status(404).json({ error: "Translation not found" });
+      res.status(202).json(publicJob(job));
+    } catch (err) {
+      const status = err instanceof BudgetExceededError ? 503 : 409;
+      res.status(status).json({ error: err.message });
+    }
+  }
+);
+
+// Bulk re-translation, e.g. after a prompt change: the listed translations
+// ([{ publication, postId, lang }]), or every cached one matching the
+// publication, lang and outdated (translated with an older prompt) filters
+app.post(
+  "/api/admin/translations/retranslate",
+  requireAdmin,
+  async (req, res) => {
+    const { translations, publication, lang, outdated } = req.body;
+    const entries = Array.isArray(translations)
+      ? translations
+      : listTranslations().filter(
+          (t) =>
+            (!publication || t.publication === publication) &&
+            (!lang || t.lang === lang) &&
+            (!outdated || t.outdated)
+        );
+    res.status(202).json(await retranslateAll(entries));
   }
-  // If they just pasted a slug directly
-  const slugOnly = text.trim().replace(/^\//, "");
-  if (/^[a-z0-9-]+$/i.test(slugOnly)) return { slug: slugOnly, fullUrl: null };
-  return { slug: null, fullUrl: null };
+);
+
+// The whole cache as a JSON download, for backups and moving deployments
+app.get("/api/admin/cache/export", requireAdmin, (_req, res) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`translations-${date}.json`);
+  res.json(exportTranslations());
+});
+
+// Load an export, merged into the cache, or in place of it with ?mode=replace
+app.post("/api/admin/cache/import", requireAdmin, (req, res) => {
+  try {
+    res.json(
+      importTranslations(req.body, { replace: req.query.mode === "replace" })
+    );
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// --- Slack ---
+// Post slash command results to the team channel too, not only to whoever
+// asked
+const SLACK_CHANNEL_RESULTS = process.env.SLACK_CHANNEL_RESULTS === "true";
+
+// Recent translations listed by /translate list
+const SLACK_LIST_SIZE = 10;
+
+/**
+ * The slug of a post id ("/p/<slug>", or "/p/<slug>#full" for the full text
+ * of a paid post).
+ */
+function slugOf(postId) {
+  return postId.replace(/^\/p\//, "").replace(/#.*$/, "");
+}
+
+/**
+ * Block Kit message for a translation of a post ({ slug, title }), with links
+ * to its /read page and the editor.
+ */
+function slackTranslationMessage({
+  publication,
+  post,
+  postId = `/p/${post.slug}`,
+  lang,
+  translation,
+  headline,
+  extra,
+}) {
+  return translationMessage({
+    headline,
+    publication,
+    postId,
+    lang,
+    translation,
+    readUrl: `${APP_URL}${readPath(publication, post.slug, lang)}`,
+    editorUrl: `${APP_URL}/editor`,
+    extra,
+  });
+}
+
+/**
+ * The message for whoever ran /translate, with the link to paste in the post.
+ */
+function slackResultMessage({
+  publication,
+  post,
+  postId,
+  lang,
+  translation,
+  cached,
+}) {
+  const readUrl = `${APP_URL}${readPath(publication, post.slug, lang)}`;
+  return {
+    response_type: "ephemeral",
+    ...slackTranslationMessage({
+      publication,
+      post,
+      postId,
+      lang,
+      translation,
+      headline: `✅ ${
+        cached ? "Translation already cached" : "Translation cached"
+      } for *${escapeMrkdwn(post.title)}*`,
+      extra: `📋 Paste this in your post:\n\`<a href="${readUrl}">${
+        getLanguage(lang).ui.readLink
+      }</a>\``,
+    }),
+  };
+}
+
+/**
+ * Tell the team channel that a post was translated.
+ */
+async function notifyTranslationReady({
+  publication,
+  post,
+  postId,
+  lang,
+  result,
+}) {
+  await postToChannel(
+    slackTranslationMessage({
+      publication,
+      post,
+      postId,
+      lang,
+      translation: result,
+      headline: `🆕 New ${getLanguage(lang).name} translation ready for *${escapeMrkdwn(
+        post.title
+      )}* (${escapeMrkdwn(publication.name)})`,
+    })
+  );
+}
+
+/**
+ * /translate status: every language's current translation of a post and any
+ * unfinished job for it.
+ */
+function slackStatusMessage(publication, slug) {
+  const postId = `/p/${slug}`;
+  const jobs = translationQueue
+    .list()
+    .filter(
+      (job) =>
+        job.data.publication === publication.id &&
+        (job.status === "queued" || job.status === "running") &&
+        job.data.postId === postId
+    );
+  const outdated = new Map(
+    listTranslations()
+      .filter((t) => t.publication === publication.id && t.postId === postId)
+      .map((t) => [t.lang, t.outdated])
+  );
+  return statusMessage({
+    publication,
+    slug,
+    languages: publication.languages.map((code) => {
+      const current = getHistory(publication, postId, code)[0];
+      return {
+        language: getLanguage(code),
+        translation: current && {
+          status: versionStatus(current),
+          createdAt: current.createdAt,
+          outdated: outdated.get(code),
+        },
+        readUrl: `${APP_URL}${readPath(publication, slug, code)}`,
+        job: jobs.find((job) => job.data.lang === code) || null,
+      };
+    }),
+  });
+}
+
+/**
+ * /translate list: the most recently translated posts, across publications.
+ */
+function slackListMessage() {
+  return listMessage(
+    listTranslations()
+      .filter((t) => getPublication(t.publication))
+      .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""))
+      .slice(0, SLACK_LIST_SIZE)
+      .map((t) => ({
+        ...t,
+        readUrl: `${APP_URL}${readPath(
+          getPublication(t.publication),
+          slugOf(t.postId),
+          t.lang
+        )}`,
+      }))
+  );
 }
 
 app.post("/api/slack/translate", async (req, res) => {
@@ -229,94 +1438,394 @@ app.post("/api/slack/translate", async (req, res) => {
     return res.status(401).json({ error: "Invalid signature" });
   }
 
-  const text = (req.body.text || "").trim();
+  const { command, slug, fullUrl, ...parsed } = parseCommand(
+    req.body.text || ""
+  );
   const responseUrl = req.body.response_url;
+  const reply = (text) => res.json({ response_type: "ephemeral", text });
 
-  const { slug, fullUrl } = extractSlugAndUrl(text);
+  if (command === "help") return reply(helpText(defaultPublication()));
+  if (command === "list") return res.json(slackListMessage());
   if (!slug) {
-    return res.json({
-      response_type: "ephemeral",
-      text: "Please provide a Substack URL or slug.\nExample: `/translate https://elcontenido.substack.com/p/product-truth`\nDraft share links with tokens also work!",
-    });
+    return reply(
+      `Please provide a post URL or slug.\n\n${helpText(defaultPublication())}`
+    );
+  }
+
+  // The post URL decides the publication; bare slugs belong to the default one
+  const publication = fullUrl
+    ? publicationForUrl(fullUrl)
+    : defaultPublication();
+  if (!publication) {
+    return reply(
+      `${new URL(fullUrl).hostname} isn't a configured publication.`
+    );
+  }
+  if (parsed.lang && !publication.languages.includes(parsed.lang)) {
+    return reply(
+      `${publication.name} isn't translated to ${getLanguage(parsed.lang).name} (available: ${publication.languages.join(", ")}).`
+    );
+  }
+
+  if (command === "status") {
+    return res.json(slackStatusMessage(publication, slug));
   }
 
+  // The job listener below posts the outcome to response_url (and the channel)
+  const notify = responseUrl ? [{ type: "slack", url: responseUrl }] : [];
+  if (SLACK_CHANNEL_RESULTS) notify.push({ type: "channel" });
+
+  // Refresh fetches the post again and re-translates every language it has
+  // (or the one asked for), even if its text hasn't changed
   const postId = `/p/${slug}`;
+  const cachedLangs = publication.languages.filter(
+    (code) => getHistory(publication, postId, code).length
+  );
+  const langs = parsed.lang
+    ? [parsed.lang]
+    : command === "refresh" && cachedLangs.length
+      ? cachedLangs
+      : [publication.languages[0]];
+
+  // Said now rather than after the fetch; queueing checks it again
+  try {
+    checkBudget();
+  } catch (err) {
+    return reply(err.message);
+  }
+
+  // Acknowledge immediately (Slack 3-second timeout); the post is fetched
+  // after, so progress links and errors follow through response_url
+  const names = langs.map((code) => getLanguage(code).name).join(", ");
+  reply(
+    `${
+      command === "refresh" ? "Re-translating" : "Translating"
+    } *${slug}* to ${names}... I'll let you know when it's ready.`
+  );
+  queueSlackTranslation({
+    publication,
+    // Use full URL if available (supports draft preview links)
+    slugOrUrl: fullUrl || slug,
+    langs,
+    force: command === "refresh",
+    notify,
+    responseUrl,
+  }).catch((err) => console.error("Slack translate error:", err.message));
+});
+
+/**
+ * Fetch the post a /translate command names and queue its translations,
+ * under the same keys as the widget's, so both share a job and the cache.
+ * Progress links, or what went wrong, go to the command's response_url.
+ */
+async function queueSlackTranslation({
+  publication,
+  slugOrUrl,
+  langs,
+  force,
+  notify,
+  responseUrl,
+}) {
+  const followUp = (text) =>
+    responseUrl
+      ? postSlackResponse(responseUrl, { response_type: "ephemeral", text })
+      : Promise.resolve();
+  let jobs;
+  try {
+    const { post, postId, source } = await fetchJobSource(
+      publication,
+      slugOrUrl
+    );
+    // The job itself only knows the post id and translated title
+    const targets = notify.map((target) => ({
+      ...target,
+      slug: post.slug,
+      title: post.title,
+    }));
+    jobs = langs.map((lang) =>
+      submitTranslation(
+        { publication, postId, lang, source, entry: "slack", force },
+        { notify: targets }
+      )
+    );
+  } catch (err) {
+    return followUp(`Translation failed: ${err.message}`);
+  }
+  return followUp(
+    `Progress: ${jobs.map((job) => `${APP_URL}/api/jobs/${job.id}`).join(" ")}`
+  );
+}
+
+// --- Slack interactivity ---
+// Buttons on translation messages. Slack wants a 200 within 3 seconds, so
+// outcomes are sent back through the payload's response_url.
+app.post("/api/slack/interactions", (req, res) => {
+  if (!verifySlackRequest(req)) {
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+  let payload;
+  try {
+    payload = JSON.parse(req.body.payload);
+  } catch {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+  res.status(200).end();
+
+  if (payload.type !== "block_actions") return;
+  for (const action of payload.actions || []) {
+    handleSlackAction(action, payload).catch((err) =>
+      console.error("Slack action error:", err.message)
+    );
+  }
+});
 
-  // Check cache
-  if (isCached(postId)) {
-    const readUrl = APP_URL ? `${APP_URL}/read/${slug}` : `/read/${slug}`;
-    return res.json({
+/**
+ * Re-translate or approve the translation a button's value points at.
+ * "open" buttons are links, and need nothing from us.
+ */
+async function handleSlackAction(action, { user, response_url: responseUrl }) {
+  if (action.action_id !== "retranslate" && action.action_id !== "approve") {
+    return;
+  }
+  const reply = (text) =>
+    postSlackResponse(responseUrl, {
       response_type: "ephemeral",
-      text: `Already cached! ${readUrl}`,
+      replace_original: false,
+      text,
     });
+  const {
+    publication: publicationId,
+    postId,
+    lang,
+    sourceHash,
+  } = JSON.parse(action.value);
+  const publication = getPublication(publicationId);
+  if (!publication) return reply(`Unknown publication: ${publicationId}`);
+  const language = getLanguage(lang);
+
+  if (action.action_id === "retranslate") {
+    let job;
+    try {
+      job = await submitRetranslation(publication, postId, lang, {
+        entry: "slack",
+        notify: [{ type: "slack", url: responseUrl }],
+      });
+    } catch (err) {
+      return reply(err.message);
+    }
+    if (!job) return reply("That translation is no longer cached.");
+    return reply(
+      `Re-translating *${slugOf(postId)}* to ${language.name}... I'll let you know when it's ready.`
+    );
   }
 
-  // Acknowledge immediately (Slack 3-second timeout)
-  res.json({
-    response_type: "ephemeral",
-    text: `Translating *${slug}*... I'll let you know when it's ready.`,
+  if (!canApprove(user.id)) {
+    return reply("You're not allowed to approve translations.");
+  }
+  let translation;
+  try {
+    translation = saveEditedTranslation(
+      publication,
+      postId,
+      lang,
+      sourceHash,
+      {},
+      "approved"
+    );
+  } catch (err) {
+    return reply(err.message);
+  }
+  if (!translation) {
+    return reply("That version of the translation is no longer cached.");
+  }
+  announceApproval(publication, postId, lang, translation);
+  // Swap the message for one without the Approve button
+  await postSlackResponse(responseUrl, {
+    replace_original: true,
+    ...slackTranslationMessage({
+      publication,
+      post: { slug: slugOf(postId), title: translation.title },
+      postId,
+      lang,
+      translation,
+      headline: `✅ ${language.name} translation of *${escapeMrkdwn(
+        translation.title
+      )}* approved by <@${user.id}>`,
+    }),
   });
+}
 
-  // Background: fetch, translate, notify
-  (async () => {
-    try {
-      // Use full URL if available (supports draft preview links)
-      const post = await fetchPost(fullUrl || slug);
-      if (!post.contentText) {
-        throw new Error("Post not found or has no content");
-      }
+/**
+ * Send a finished job's outcome to one of its notify targets: { type:
+ * "slack", url } (a slash command's or button's response_url) or { type:
+ * "channel", slug?, title? } (the team channel).
+ */
+async function notifyJob(target, job, { result, error }) {
+  const publication = getPublication(job.data.publication);
+  const { lang } = job.data;
+  if (!publication) return;
 
-      // Use the real slug from the API (resolves UUIDs to actual slugs)
-      const realSlug = post.slug || slug;
-      const realPostId = `/p/${realSlug}`;
+  if (!result) {
+    if (target.type === "slack") {
+      await postSlackResponse(target.url, {
+        response_type: "ephemeral",
+        text: `Translation failed: ${error.message}`,
+      });
+    }
+    return;
+  }
 
-      // Cache post metadata so /read/ works for drafts
-      postMetaCache.set(realSlug, post);
+  // Targets from /translate know the post; re-translations of a cached
+  // source only know its id, and the translated title
+  const { postId } = job.data;
+  const post = {
+    slug: target.slug || slugOf(postId),
+    title: target.title || result.translation.title,
+  };
+  if (target.type === "channel") {
+    await notifyTranslationReady({
+      publication,
+      post,
+      postId,
+      lang,
+      result: result.translation,
+    });
+  }
+  if (target.type === "slack") {
+    await postSlackResponse(
+      target.url,
+      slackResultMessage({ publication, lang, ...result, post, postId })
+    );
+  }
+}
 
-      await translatePost({
-        postId: realPostId,
-        title: post.title,
-        subtitle: post.subtitle,
-        content: post.contentText,
-      });
+function notifyTargets(job, outcome) {
+  for (const target of job.notify) {
+    notifyJob(target, job, outcome).catch((err) =>
+      console.error(`Job ${job.id} notification error:`, err.message)
+    );
+  }
+}
 
-      const readUrl = APP_URL ? `${APP_URL}/read/${realSlug}` : `/read/${realSlug}`;
-      const message = {
-        response_type: "ephemeral",
-        text: `✅ Translation cached for *${post.title}*\n\n📖 ${readUrl}\n\n📋 Paste this in your post:\n\`<a href="${readUrl}">Leer en Español</a>\``,
-      };
+// --- Outbound webhooks ---
+app.get("/api/admin/webhooks", requireAdmin, (_req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, webhooks: listWebhooks() });
+});
 
-      if (responseUrl) {
-        await fetch(responseUrl, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(message),
-        });
-      }
-    } catch (err) {
-      console.error("Slack translate error:", err.message);
-      if (responseUrl) {
-        await fetch(responseUrl, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            response_type: "ephemeral",
-            text: `Translation failed: ${err.message}`,
-          }),
-        });
-      }
-    }
-  })();
+// Create or replace an endpoint: { url, events?, secret? }
+app.put("/api/admin/webhooks/:id", requireAdmin, (req, res) => {
+  try {
+    res.json(saveWebhook({ ...req.body, id: req.params.id }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/admin/webhooks/:id", requireAdmin, (req, res) => {
+  if (!removeWebhook(req.params.id)) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+  res.json({ removed: req.params.id });
 });
 
+// Delivery log, newest first; ?webhook= and ?status= (queued, running, done,
+// failed) narrow it down
+app.get("/api/admin/webhooks/deliveries", requireAdmin, (req, res) => {
+  const { webhook, status } = req.query;
+  res.json({
+    deliveries: deliveryQueue
+      .list()
+      .filter(
+        (job) =>
+          (!webhook || job.data.webhook === webhook) &&
+          (!status || job.status === status)
+      )
+      .map(publicDelivery),
+  });
+});
+
+/**
+ * What every webhook event says about a translation: its publication, post,
+ * language and public /read URL.
+ */
+function webhookData(publication, postId, lang) {
+  const slug = slugOf(postId);
+  return {
+    publication: publication.id,
+    postId,
+    slug,
+    lang,
+    readUrl: `${APP_URL}${readPath(publication, slug, lang)}`,
+  };
+}
+
+function sendJobEvent(event, job, extra) {
+  const publication = getPublication(job.data.publication);
+  if (!publication) return;
+  sendEvent(event, {
+    ...webhookData(publication, job.data.postId, job.data.lang),
+    jobId: job.id,
+    entry: job.data.entry || null,
+    ...extra,
+  });
+}
+
+/**
+ * Tell webhooks that an editor (or a Slack user) approved a translation.
+ */
+function announceApproval(publication, postId, lang, translation) {
+  sendEvent("translation.approved", {
+    ...webhookData(publication, postId, lang),
+    title: translation.title,
+    sourceHash: translation.sourceHash,
+    approvedAt: translation.approvedAt,
+  });
+}
+
+translationQueue.on("started", (job) =>
+  sendJobEvent("translation.started", job, { attempt: job.attempts })
+);
+translationQueue.on("completed", (job, result) => {
+  notifyTargets(job, { result });
+  sendJobEvent("translation.completed", job, {
+    title: result.translation.title,
+    sourceHash: result.translation.sourceHash,
+    status: result.translation.status,
+    cached: result.cached,
+  });
+});
+translationQueue.on("failed", (job, error) => {
+  console.error(`Translation job ${job.id} failed:`, error.message);
+  notifyTargets(job, { error });
+  sendJobEvent("translation.failed", job, {
+    error: error.message,
+    attempts: job.attempts,
+  });
+});
+deliveryQueue.on("failed", (job, error) =>
+  console.error(
+    `Webhook ${job.data.webhook} delivery of ${job.data.event} failed:`,
+    error.message
+  )
+);
+
 // --- Serve demo page at /demo ---
 app.get("/demo", (_req, res) => {
   res.sendFile(path.join(__dirname, "..", "public", "demo.html"));
 });
 
 // --- Start ---
+// Stop signals end the process through exit, whose listeners write out the
+// stores' pending changes
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => process.exit(0));
+}
+
 app.listen(PORT, () => {
   console.log(`🪺 Substack Translator running on http://localhost:${PORT}`);
   console.log(`   Demo: http://localhost:${PORT}/demo`);
   console.log(`   Health: http://localhost:${PORT}/health`);
+  translationQueue.start();
+  deliveryQueue.start();
+  startScheduler();
 });
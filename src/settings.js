@@ -0,0 +1,50 @@
+const { createStore } = require("./store");
+
+const settingsStore = createStore("settings");
+
+const DEFAULT_SETTINGS = {
+  // When true, only approved translations are served on /read and the widget
+  requireApproval: process.env.REQUIRE_APPROVAL === "true",
+};
+
+function settingsKey(publication) {
+  return `settings:${publication.id}`;
+}
+
+/**
+ * A publication's settings (its stored overrides on top of the defaults).
+ * Settings saved before they were per publication, under "settings", still
+ * apply to publications that haven't been given their own.
+ */
+function getSettings(publication) {
+  return {
+    ...DEFAULT_SETTINGS,
+    ...(settingsStore.get("settings") || {}),
+    ...(settingsStore.get(settingsKey(publication)) || {}),
+  };
+}
+
+/**
+ * Update a publication's settings. Unknown keys are rejected.
+ */
+function updateSettings(publication, patch) {
+  const settings = getSettings(publication);
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (!(key in DEFAULT_SETTINGS)) throw new Error(`Unknown setting: ${key}`);
+    if (typeof value !== typeof DEFAULT_SETTINGS[key]) {
+      throw new Error(`${key} must be a ${typeof DEFAULT_SETTINGS[key]}`);
+    }
+    settings[key] = value;
+  }
+  settingsStore.set(settingsKey(publication), settings);
+  return settings;
+}
+
+/**
+ * Whether a publication may show a translation with this status to the public.
+ */
+function isServable(publication, status) {
+  return status === "approved" || !getSettings(publication).requireApproval;
+}
+
+module.exports = { getSettings, updateSettings, isServable };
@@ -0,0 +1,321 @@
+const crypto = require("crypto");
+const { safeEqual } = require("./auth");
+const { getLanguage } = require("./languages");
+const { isServable } = require("./settings");
+
+const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET || "";
+
+// Incoming webhook for the team channel (pre-translation notifications, and
+// slash command results with SLACK_CHANNEL_RESULTS)
+const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL || "";
+
+// Slack user ids allowed to approve translations from Slack; nobody can
+// approve from Slack when unset
+const SLACK_APPROVERS = (process.env.SLACK_APPROVERS || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+/**
+ * Whether a request (slash command or interaction) was signed by Slack.
+ */
+function verifySlackRequest(req) {
+  if (!SLACK_SIGNING_SECRET) return false;
+  const timestamp = req.headers["x-slack-request-timestamp"];
+  if (!timestamp) return false;
+  // Reject requests older than 5 minutes
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > 300) return false;
+
+  const sigBase = `v0:${timestamp}:${req.rawBody}`;
+  const mySignature =
+    "v0=" +
+    crypto
+      .createHmac("sha256", SLACK_SIGNING_SECRET)
+      .update(sigBase)
+      .digest("hex");
+  const slackSignature = req.headers["x-slack-signature"] || "";
+  return safeEqual(mySignature, slackSignature);
+}
+
+function canApprove(userId) {
+  return SLACK_APPROVERS.includes(userId);
+}
+
+/**
+ * Split an optional leading language code off the command text ("pt <url>"
+ * or "lang pt <url>"). lang is null when the command doesn't name one.
+ */
+function extractLang(text) {
+  const match = text.match(/^(?:lang\s+)?([a-z]{2})\s+(.+)$/i);
+  if (match && getLanguage(match[1].toLowerCase())) {
+    return { lang: match[1].toLowerCase(), rest: match[2] };
+  }
+  return { lang: null, rest: text };
+}
+
+function extractSlugAndUrl(text) {
+  // Check for a full post URL on Substack or a custom domain (could be a
+  // draft share link with ?token=...)
+  const urlMatch = text.match(/(https?:\/\/[^\s/]+\/p\/[^\s]+)/i);
+  if (urlMatch) {
+    const fullUrl = urlMatch[1];
+    const slugMatch = fullUrl.match(/\/p\/([a-z0-9-]+)/i);
+    return { slug: slugMatch ? slugMatch[1] : null, fullUrl };
+  }
+  // If they just pasted a slug directly
+  const slugOnly = text.trim().replace(/^\//, "");
+  if (/^[a-z0-9-]+$/i.test(slugOnly)) return { slug: slugOnly, fullUrl: null };
+  return { slug: null, fullUrl: null };
+}
+
+const SUBCOMMANDS = ["status", "refresh", "list", "help"];
+
+/**
+ * Parse /translate's text: "[status|refresh|list|help] [[lang] xx] <url or
+ * slug>". Without a subcommand it's a translation request. Returns
+ * { command, lang, slug, fullUrl }.
+ */
+function parseCommand(text) {
+  const [first, ...rest] = text.trim().split(/\s+/);
+  const command = SUBCOMMANDS.includes((first || "").toLowerCase())
+    ? first.toLowerCase()
+    : "translate";
+  const args = command === "translate" ? text.trim() : rest.join(" ");
+  const { lang, rest: post } = extractLang(args);
+  return { command, lang, ...extractSlugAndUrl(post) };
+}
+
+/**
+ * Escape text for Slack's mrkdwn, where &, < and > are control characters.
+ */
+function escapeMrkdwn(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Value of a Re-translate or Approve button: which translation it acts on.
+ */
+function actionValue(publication, postId, lang, sourceHash) {
+  return JSON.stringify({
+    publication: publication.id,
+    postId,
+    lang,
+    sourceHash,
+  });
+}
+
+function statusLine(publication, status, editorUrl) {
+  return isServable(publication, status)
+    ? `Status: *${status}*`
+    : `Status: *${status}* — not public until approved in ${editorUrl}`;
+}
+
+/**
+ * Block Kit message for one translation: headline and status, an optional
+ * extra section, and Open translation / Re-translate / Approve buttons
+ * (Approve only while it isn't approved yet). The top-level text is the
+ * notification fallback.
+ */
+function translationMessage({
+  headline,
+  publication,
+  postId,
+  lang,
+  translation,
+  readUrl,
+  editorUrl,
+  extra,
+}) {
+  const language = getLanguage(lang);
+  const value = actionValue(publication, postId, lang, translation.sourceHash);
+  const buttons = [
+    {
+      type: "button",
+      action_id: "open",
+      text: { type: "plain_text", text: "Open translation" },
+      url: readUrl,
+    },
+    {
+      type: "button",
+      action_id: "retranslate",
+      text: { type: "plain_text", text: "Re-translate" },
+      value,
+    },
+  ];
+  if (translation.status !== "approved") {
+    buttons.push({
+      type: "button",
+      action_id: "approve",
+      text: { type: "plain_text", text: "Approve" },
+      style: "primary",
+      value,
+    });
+  }
+
+  const status = statusLine(publication, translation.status, editorUrl);
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${headline}\n${status}`,
+      },
+    },
+  ];
+  if (extra) {
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: extra } });
+  }
+  blocks.push(
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: [publication.name, language.name, translation.model]
+            .filter(Boolean)
+            .map(escapeMrkdwn)
+            .join(" · "),
+        },
+      ],
+    },
+    { type: "actions", elements: buttons }
+  );
+  return { text: `${headline}\n${readUrl}`, blocks };
+}
+
+/**
+ * Block Kit message for /translate status: per language of the publication,
+ * { language, translation (the current cached version, or null), readUrl,
+ * job (an unfinished job for it, or null) }.
+ */
+function statusMessage({ publication, slug, languages }) {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `Translations of *${escapeMrkdwn(slug)}* (${escapeMrkdwn(
+          publication.name
+        )})`,
+      },
+    },
+  ];
+  for (const { language, translation, readUrl, job } of languages) {
+    const parts = [];
+    if (translation) {
+      parts.push(
+        `*${translation.status}*`,
+        `translated ${(translation.createdAt || "?").slice(0, 10)}`
+      );
+      if (translation.outdated) parts.push("older prompt");
+    } else {
+      parts.push("not translated");
+    }
+    if (job) parts.push(`⏳ job ${job.status}`);
+    const block = {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${language.name}*: ${parts.join(" · ")}`,
+      },
+    };
+    if (translation) {
+      block.accessory = {
+        type: "button",
+        action_id: "open",
+        text: { type: "plain_text", text: "Open" },
+        url: readUrl,
+      };
+    }
+    blocks.push(block);
+  }
+  return {
+    response_type: "ephemeral",
+    text: `Translations of ${slug}`,
+    blocks,
+  };
+}
+
+/**
+ * Block Kit message for /translate list: the most recent translations,
+ * [{ title, lang, status, readUrl }].
+ */
+function listMessage(translations) {
+  if (!translations.length) {
+    return {
+      response_type: "ephemeral",
+      text: "Nothing has been translated yet.",
+    };
+  }
+  const lines = translations.map(
+    (t) =>
+      `• <${t.readUrl}|${escapeMrkdwn(t.title)}> — ${getLanguage(t.lang).name} · ${t.status}`
+  );
+  return {
+    response_type: "ephemeral",
+    text: `Latest ${translations.length} translations`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Latest ${translations.length} translations*\n${lines.join("\n")}`,
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Usage help for /translate, with examples from a publication.
+ */
+function helpText(publication) {
+  const codes = publication.languages;
+  const example = `${publication.substackUrl}/p/product-truth`;
+  return [
+    "*/translate <post URL or slug>* — translate a post (draft share links with tokens work too)",
+    `*/translate lang <${codes.join("|")}> <post>* — into a given language (or just \`/translate ${codes[codes.length - 1]} <post>\`)`,
+    "*/translate status <post>* — what's translated, in which state",
+    "*/translate refresh [lang <code>] <post>* — fetch the post again and re-translate it",
+    "*/translate list* — the latest translations",
+    `Example: \`/translate ${example}\`. A bare slug is looked up in ${publication.name}; paste the full URL for other publications.`,
+  ].join("\n");
+}
+
+async function postSlackResponse(responseUrl, message) {
+  const res = await fetch(responseUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(message),
+  });
+  if (!res.ok) throw new Error(`Slack response failed: ${res.status}`);
+}
+
+/**
+ * Post a message to the team channel. Does nothing without SLACK_WEBHOOK_URL.
+ */
+async function postToChannel(message) {
+  if (!SLACK_WEBHOOK_URL) return;
+  const res = await fetch(SLACK_WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(message),
+  });
+  if (!res.ok) throw new Error(`Slack webhook failed: ${res.status}`);
+}
+
+module.exports = {
+  verifySlackRequest,
+  canApprove,
+  parseCommand,
+  escapeMrkdwn,
+  translationMessage,
+  statusMessage,
+  listMessage,
+  helpText,
+  postSlackResponse,
+  postToChannel,
+};
@@ -0,0 +1,120 @@
+const path = require("path");
+const { Resvg } = require("@resvg/resvg-js");
+
+// Bundled with the app so cards render the same on hosts without fonts
+const FONT_DIR = path.join(
+  path.dirname(require.resolve("dejavu-fonts-ttf/package.json")),
+  "ttf"
+);
+const FONT_FILES = ["DejaVuSerif-Bold.ttf", "DejaVuSans.ttf"].map((file) =>
+  path.join(FONT_DIR, file)
+);
+
+// The size Open Graph and Twitter's large card expect
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MARGIN = 80;
+
+// Average glyph width of DejaVu Serif Bold, in ems, for line wrapping
+const CHAR_WIDTH_EM = 0.62;
+const MAX_TITLE_LINES = 4;
+
+// Rendered cards kept in memory, oldest dropped first
+const MAX_CACHED_IMAGES = 100;
+const imageCache = new Map();
+
+/**
+ * Break text into lines of at most maxChars, by words. Words longer than a
+ * line are left whole.
+ */
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Title lines and font size: the largest size at which the title fits in
+ * MAX_TITLE_LINES, or the smallest one with the rest cut off.
+ */
+function layoutTitle(title) {
+  for (const fontSize of [68, 58, 50]) {
+    const maxChars = Math.floor(
+      (WIDTH - 2 * MARGIN) / (fontSize * CHAR_WIDTH_EM)
+    );
+    const lines = wrapText(title, maxChars);
+    if (lines.length <= MAX_TITLE_LINES || fontSize === 50) {
+      if (lines.length > MAX_TITLE_LINES) {
+        lines.length = MAX_TITLE_LINES;
+        lines[MAX_TITLE_LINES - 1] += " …";
+      }
+      return { lines, fontSize };
+    }
+  }
+}
+
+function escXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function cardSvg({ title, publication, language }) {
+  const { lines, fontSize } = layoutTitle(title);
+  const lineHeight = Math.round(fontSize * 1.2);
+  const top = (HEIGHT - lines.length * lineHeight) / 2 + fontSize * 0.8;
+  const tagline = publication.branding.tagline[language.code];
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <rect width="100%" height="100%" fill="#faf7f2"/>
+  <rect width="100%" height="12" fill="#c4956a"/>
+  <text x="${MARGIN}" y="${MARGIN + 30}" font-family="DejaVu Sans" font-size="30" fill="#1a1a1a">${escXml(publication.name)}</text>
+  ${lines
+    .map(
+      (line, i) =>
+        `<text x="${MARGIN}" y="${top + i * lineHeight}" font-family="DejaVu Serif" font-weight="bold" font-size="${fontSize}" fill="#1a1a1a">${escXml(line)}</text>`
+    )
+    .join("\n  ")}
+  <text x="${MARGIN}" y="${HEIGHT - MARGIN}" font-family="DejaVu Sans" font-size="26" fill="#7a756f">${escXml(tagline || language.name)}</text>
+</svg>`;
+}
+
+/**
+ * Render the fallback social card for a post without a cover image: its
+ * translated title with the publication's name and tagline, as a WIDTH ×
+ * HEIGHT PNG buffer.
+ */
+function renderSocialImage({ title, publication, language }) {
+  const key = JSON.stringify([publication.id, language.code, title]);
+  if (imageCache.has(key)) return imageCache.get(key);
+
+  const svg = cardSvg({ title, publication, language });
+  const png = new Resvg(svg, {
+    font: { fontFiles: FONT_FILES, loadSystemFonts: false },
+  })
+    .render()
+    .asPng();
+
+  imageCache.set(key, png);
+  if (imageCache.size > MAX_CACHED_IMAGES) {
+    imageCache.delete(imageCache.keys().next().value);
+  }
+  return png;
+}
+
+module.exports = {
+  renderSocialImage,
+  SOCIAL_IMAGE_WIDTH: WIDTH,
+  SOCIAL_IMAGE_HEIGHT: HEIGHT,
+};
@@ -0,0 +1,148 @@
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+// "file" (default) persists to DATA_DIR; "memory" keeps everything in a Map
+const STORE_BACKEND = process.env.TRANSLATION_STORE || "file";
+
+// File stores write changes out at most this often, so a burst of them costs
+// one rewrite of the file rather than one each
+const WRITE_DELAY_MS = Number(process.env.STORE_WRITE_DELAY_MS || 1000);
+
+// Flush functions of file stores with changes not written out yet
+const unsaved = new Set();
+let exiting = false;
+
+/**
+ * Write out every file store's pending changes now.
+ */
+function flushStores() {
+  for (const flush of unsaved) flush();
+}
+
+// Timers don't fire once the process is exiting, so write out what's left
+// (and anything set by other exit listeners) synchronously
+process.on("exit", () => {
+  exiting = true;
+  flushStores();
+});
+
+/**
+ * In-memory store. Entries are lost on restart.
+ *
+ * Both backends also have setMany(entries, { replace }), which sets a list of
+ * [key, value] pairs in one go (and with replace: true drops every other key),
+ * and flush(), which writes out pending changes (a no-op here).
+ */
+function createMemoryStore() {
+  const map = new Map();
+
+  return {
+    get: (key) => map.get(key),
+    has: (key) => map.has(key),
+    set(key, value) {
+      map.set(key, value);
+    },
+    setMany(entries, { replace = false } = {}) {
+      if (replace) map.clear();
+      for (const [key, value] of entries) map.set(key, value);
+    },
+    delete: (key) => map.delete(key),
+    keys: () => Array.from(map.keys()),
+    entries: () => Array.from(map.entries()),
+    flush() {},
+  };
+}
+
+/**
+ * File-backed store. Loads the whole JSON file on startup and rewrites it
+ * atomically (write to a temp file, then rename) WRITE_DELAY_MS after a
+ * change, and on exit. Reads always see the latest changes.
+ */
+function createFileStore(filePath) {
+  const map = new Map();
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      for (const [key, value] of Object.entries(data)) map.set(key, value);
+    } catch (err) {
+      console.error(`Failed to load store ${filePath}:`, err.message);
+    }
+  }
+
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!unsaved.delete(flush)) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(map)));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function persist() {
+    unsaved.add(flush);
+    if (exiting) return flush();
+    if (!timer) {
+      timer = setTimeout(() => {
+        try {
+          flush();
+        } catch (err) {
+          // Kept in memory; the next change (or exit) tries again
+          unsaved.add(flush);
+          console.error(`Failed to write store ${filePath}:`, err.message);
+        }
+      }, WRITE_DELAY_MS);
+      timer.unref();
+    }
+  }
+
+  return {
+    get: (key) => map.get(key),
+    has: (key) => map.has(key),
+    set(key, value) {
+      map.set(key, value);
+      persist();
+    },
+    setMany(entries, { replace = false } = {}) {
+      if (replace) map.clear();
+      for (const [key, value] of entries) map.set(key, value);
+      persist();
+    },
+    delete(key) {
+      const existed = map.delete(key);
+      if (existed) persist();
+      return existed;
+    },
+    keys: () => Array.from(map.keys()),
+    entries: () => Array.from(map.entries()),
+    flush,
+  };
+}
+
+/**
+ * Create a named key/value store using the configured backend.
+ * Values must be JSON-serializable.
+ */
+function createStore(name) {
+  switch (STORE_BACKEND) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore(path.join(DATA_DIR, `${name}.json`));
+    default:
+      throw new Error(`Unknown TRANSLATION_STORE backend: ${STORE_BACKEND}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createFileStore,
+  flushStores,
+  DATA_DIR,
+};
@@ -1,30 +1,5 @@
-/**
- * Render the standalone translated post page (Spanish only).
- * Preserves original Substack formatting.
- */
-function renderPage({ post, translated }) {
-  const date = post.meta.datePublished
-    ? new Date(post.meta.datePublished).toLocaleDateString("es-MX", {
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      })
-    : "";
-
-  return `<!DOCTYPE html>
-<html lang="es">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${escHtml(translated.title)} — ConteNIDO</title>
-  <meta name="description" content="${escAttr(translated.subtitle || post.meta.description || "")}">
-  <meta property="og:title" content="${escAttr(translated.title)}">
-  <meta property="og:description" content="${escAttr(translated.subtitle || "")}">
-  <meta property="og:type" content="article">
-  <link rel="preconnect" href="https://fonts.googleapis.com">
-  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-  <link href="https://fonts.googleapis.com/css2?family=Newsreader:ital,opsz,wght@0,6..72,400;0,6..72,600;1,6..72,400&display=swap" rel="stylesheet">
-  <style>
+// Shared by every public page so they all match Substack's look
+const PAGE_STYLES = `
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body {
       font-family: 'Newsreader', Georgia, serif;
@@ -148,37 +123,386 @@ function renderPage({ post, translated }) {
       color: #999;
     }
     .post-footer a { color: #c4956a; }
+    /* Paywall notice under a paid post's preview */
+    .paywall-notice {
+      margin: 40px 0;
+      padding: 24px;
+      border: 1px solid #e8e4df;
+      border-radius: 8px;
+      background: #fff;
+      text-align: center;
+    }
+    .paywall-notice p { margin: 0 0 12px; }
+    .paywall-notice a {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      font-size: 15px;
+      font-weight: 600;
+      color: #c4956a;
+    }
+    /* Archive index */
+    .search {
+      display: flex;
+      gap: 8px;
+      margin-bottom: 16px;
+    }
+    .search input {
+      flex: 1;
+      font: 16px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      padding: 10px 12px;
+      border: 1px solid #e8e4df;
+      border-radius: 4px;
+    }
+    .search button {
+      font: 600 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      padding: 10px 16px;
+      border: none;
+      border-radius: 4px;
+      background: #c4956a;
+      color: #ffffff;
+      cursor: pointer;
+    }
+    .post-list { list-style: none; }
+    .post-item {
+      display: flex;
+      gap: 20px;
+      padding: 24px 0;
+      border-bottom: 1px solid #e8e4df;
+    }
+    .post-item a { color: inherit; text-decoration: none; }
+    .post-item h2 {
+      font-size: 22px;
+      font-weight: 600;
+      line-height: 1.3;
+      letter-spacing: -0.01em;
+    }
+    .post-item p {
+      font-size: 16px;
+      color: #6b6560;
+      margin-top: 4px;
+    }
+    .post-item .date,
+    .empty,
+    .pagination {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      font-size: 13px;
+      color: #7a756f;
+    }
+    .post-item .date { margin-top: 8px; }
+    .post-item img {
+      width: 120px;
+      height: 80px;
+      object-fit: cover;
+      border-radius: 4px;
+      flex-shrink: 0;
+    }
+    .empty { padding: 24px 0; font-size: 15px; }
+    .pagination {
+      display: flex;
+      justify-content: space-between;
+      margin-top: 32px;
+      font-size: 14px;
+    }
+    .pagination a { color: #c4956a; }
     @media (max-width: 600px) {
       h1.post-title { font-size: 28px; }
       .post-body p, .post-body li { font-size: 17px; }
+      .post-item img { width: 80px; height: 60px; }
     }
-  </style>
+  `;
+
+/**
+ * Header with the publication's name and its tagline in this language,
+ * linking to href.
+ */
+function renderPubHeader({ href, language, publication }) {
+  const tagline = publication.branding.tagline[language.code];
+  return `<div class="pub-header">
+      <a href="${escAttr(href)}">
+        <div class="pub-name">${escHtml(publication.name)}</div>
+        ${tagline ? `<div class="pub-tagline">${escHtml(tagline)}</div>` : ""}
+      </a>
+    </div>`;
+}
+
+function formatDate(date, language) {
+  return date
+    ? new Date(date).toLocaleDateString(language.locale, {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      })
+    : "";
+}
+
+/**
+ * <link rel="alternate" hreflang> tags for the versions of a page in other
+ * languages: [{ hreflang, href }].
+ */
+function renderAlternates(alternates) {
+  return alternates
+    .map(
+      ({ hreflang, href }) =>
+        `<link rel="alternate" hreflang="${escAttr(hreflang)}" href="${escAttr(href)}">`
+    )
+    .join("\n  ");
+}
+
+/**
+ * Open Graph / Twitter Card tags and JSON-LD Article data for a translated
+ * post. image is { url, width?, height? }.
+ */
+function renderSocialMeta({
+  post,
+  translated,
+  language,
+  publication,
+  canonicalUrl,
+  image,
+}) {
+  const description = translated.subtitle || post.meta.description || "";
+  const published = post.meta.datePublished
+    ? new Date(post.meta.datePublished).toISOString()
+    : "";
+  const authors = post.meta.authors ? post.meta.authors.split(", ") : [];
+
+  const article = {
+    "@context": "https://schema.org",
+    "@type": "Article",
+    headline: translated.title,
+    description: description || undefined,
+    image: [image.url],
+    inLanguage: language.code,
+    url: canonicalUrl,
+    mainEntityOfPage: canonicalUrl,
+    datePublished: published || undefined,
+    dateModified: translated.createdAt || published || undefined,
+    author: authors.length
+      ? authors.map((name) => ({ "@type": "Person", name }))
+      : { "@type": "Organization", name: publication.name },
+    publisher: { "@type": "Organization", name: publication.name },
+    translationOfWork: {
+      "@type": "Article",
+      headline: post.title,
+      url: post.originalUrl,
+      inLanguage: "en",
+    },
+  };
+
+  const tags = [
+    ["property", "og:type", "article"],
+    ["property", "og:title", translated.title],
+    ["property", "og:description", description],
+    ["property", "og:url", canonicalUrl],
+    ["property", "og:site_name", publication.name],
+    ["property", "og:locale", language.locale.replace("-", "_")],
+    ["property", "og:locale:alternate", "en_US"],
+    ["property", "og:image", image.url],
+    ["property", "og:image:width", image.width],
+    ["property", "og:image:height", image.height],
+    ["property", "og:image:alt", translated.title],
+    ["property", "article:published_time", published],
+    ["property", "article:author", post.meta.authors],
+    ["name", "author", post.meta.authors],
+    ["name", "twitter:card", "summary_large_image"],
+    ["name", "twitter:title", translated.title],
+    ["name", "twitter:description", description],
+    ["name", "twitter:image", image.url],
+    ["name", "twitter:image:alt", translated.title],
+  ];
+
+  return [
+    ...tags
+      .filter(([, , content]) => content)
+      .map(
+        ([attr, name, content]) =>
+          `<meta ${attr}="${name}" content="${escAttr(content)}">`
+      ),
+    // "<" is escaped so the post's text can't close the script element
+    `<script type="application/ld+json">${JSON.stringify(article).replace(/</g, "\\u003c")}</script>`,
+  ].join("\n  ");
+}
+
+/**
+ * Render the translated notice that ends a paid post's preview, linking to
+ * the original, where readers can subscribe or sign in.
+ */
+function renderPaywallNotice({ language, url }) {
+  return `<div class="paywall-notice">
+      <p>${escHtml(language.ui.paywallNotice)}</p>
+      <a href="${escAttr(url)}">${escHtml(language.ui.paywallCta)} &rarr;</a>
+    </div>`;
+}
+
+/**
+ * Render the standalone translated post page in the given language.
+ * Preserves original Substack formatting. canonicalUrl is the page's own
+ * absolute URL, image its social card ({ url, width?, height? }), and
+ * alternates lists the English original and the other translations for
+ * search engines.
+ */
+function renderPage({
+  post,
+  translated,
+  language,
+  publication,
+  canonicalUrl,
+  image,
+  alternates = [],
+}) {
+  const date = formatDate(post.meta.datePublished, language);
+
+  return `<!DOCTYPE html>
+<html lang="${escAttr(language.code)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escHtml(translated.title)} — ${escHtml(publication.name)}</title>
+  <meta name="description" content="${escAttr(translated.subtitle || post.meta.description || "")}">
+  <link rel="canonical" href="${escAttr(canonicalUrl)}">
+  ${renderAlternates(alternates)}
+  ${renderSocialMeta({ post, translated, language, publication, canonicalUrl, image })}
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link href="https://fonts.googleapis.com/css2?family=Newsreader:ital,opsz,wght@0,6..72,400;0,6..72,600;1,6..72,400&display=swap" rel="stylesheet">
+  <style>${PAGE_STYLES}</style>
 </head>
 <body>
   <div class="container">
-    <div class="pub-header">
-      <a href="${escAttr(post.originalUrl)}">
-        <div class="pub-name">ConteNIDO</div>
-        <div class="pub-tagline">VC, AI &amp; Tech en Latinoam\u00e9rica</div>
-      </a>
-    </div>
+    ${renderPubHeader({ href: post.originalUrl, language, publication })}
 
     <h1 class="post-title">${escHtml(translated.title)}</h1>
     ${translated.subtitle ? `<h3 class="subtitle">${escHtml(translated.subtitle)}</h3>` : ""}
 
     <div class="post-meta">
       <div>
-        <div class="authors">${escHtml(post.meta.authors || "ConteNIDO")}</div>
+        <div class="authors">${escHtml(post.meta.authors || publication.name)}</div>
         <div>${date}</div>
       </div>
     </div>
 
     <div class="post-body">${translated.contentHtml}</div>
+    ${post.truncated ? renderPaywallNotice({ language, url: post.originalUrl }) : ""}
 
     <div class="post-footer">
-      <a href="${escAttr(post.originalUrl)}">Read the original in English on Substack &rarr;</a>
+      <a href="${escAttr(post.originalUrl)}">${escHtml(language.ui.readOriginal)} &rarr;</a>
       <br>
-      <span>Traducido por Nest Translator</span>
+      <span>${escHtml(language.ui.translatedBy)}</span>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Render the page shown instead of a translation that hasn't been approved yet.
+ */
+function renderPendingPage({ post, language, publication }) {
+  return `<!DOCTYPE html>
+<html lang="${escAttr(language.code)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escHtml(language.ui.pendingTitle)} — ${escHtml(publication.name)}</title>
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link href="https://fonts.googleapis.com/css2?family=Newsreader:ital,opsz,wght@0,6..72,400;0,6..72,600;1,6..72,400&display=swap" rel="stylesheet">
+  <style>${PAGE_STYLES}</style>
+</head>
+<body>
+  <div class="container">
+    ${renderPubHeader({ href: post.originalUrl, language, publication })}
+
+    <h1 class="post-title">${escHtml(language.ui.pendingTitle)}</h1>
+    <h3 class="subtitle">${escHtml(post.title)}</h3>
+
+    <div class="post-body">
+      <p>${escHtml(language.ui.pendingBody)}</p>
+    </div>
+
+    <div class="post-footer">
+      <a href="${escAttr(post.originalUrl)}">${escHtml(language.ui.readOriginal)} &rarr;</a>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Render the index of a publication's translated posts in one language.
+ *
+ * items: [{ href, title, subtitle, date, image }] for the current page;
+ * pagination: { newerHref, olderHref } (either may be null); searchAction is
+ * the path the search form submits to, with hidden fields for its query.
+ */
+function renderIndexPage({
+  publication,
+  language,
+  items,
+  query,
+  searchAction,
+  searchFields = {},
+  pagination,
+  alternates = [],
+}) {
+  const list = items.length
+    ? `<ul class="post-list">
+      ${items
+        .map(
+          (item) => `<li class="post-item">
+        <div>
+          <a href="${escAttr(item.href)}">
+            <h2>${escHtml(item.title)}</h2>
+            ${item.subtitle ? `<p>${escHtml(item.subtitle)}</p>` : ""}
+          </a>
+          ${item.date ? `<div class="date">${formatDate(item.date, language)}</div>` : ""}
+        </div>
+        ${item.image ? `<a href="${escAttr(item.href)}"><img src="${escAttr(item.image)}" alt="" loading="lazy"></a>` : ""}
+      </li>`
+        )
+        .join("\n      ")}
+    </ul>`
+    : `<p class="empty">${escHtml(language.ui.noResults)}</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="${escAttr(language.code)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escHtml(language.ui.archiveTitle)} — ${escHtml(publication.name)}</title>
+  <meta name="description" content="${escAttr(publication.branding.tagline[language.code] || publication.description)}">
+  ${query ? '<meta name="robots" content="noindex">' : renderAlternates(alternates)}
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link href="https://fonts.googleapis.com/css2?family=Newsreader:ital,opsz,wght@0,6..72,400;0,6..72,600;1,6..72,400&display=swap" rel="stylesheet">
+  <style>${PAGE_STYLES}</style>
+</head>
+<body>
+  <div class="container">
+    ${renderPubHeader({ href: publication.substackUrl, language, publication })}
+
+    <h1 class="post-title">${escHtml(language.ui.archiveTitle)}</h1>
+
+    <form class="search" method="get" action="${escAttr(searchAction)}" role="search">
+      ${Object.entries(searchFields)
+        .map(
+          ([name, value]) =>
+            `<input type="hidden" name="${escAttr(name)}" value="${escAttr(value)}">`
+        )
+        .join("")}
+      <input type="search" name="q" value="${escAttr(query || "")}" placeholder="${escAttr(language.ui.searchPlaceholder)}">
+      <button type="submit">${escHtml(language.ui.search)}</button>
+    </form>
+
+    ${list}
+
+    <div class="pagination">
+      <span>${pagination.newerHref ? `<a href="${escAttr(pagination.newerHref)}">${escHtml(language.ui.newer)}</a>` : ""}</span>
+      <span>${pagination.olderHref ? `<a href="${escAttr(pagination.olderHref)}">${escHtml(language.ui.older)}</a>` : ""}</span>
+    </div>
+
+    <div class="post-footer">
+      <span>${escHtml(language.ui.translatedBy)}</span>
     </div>
   </div>
 </body>
@@ -197,4 +521,9 @@ function escAttr(str) {
   return escHtml(str);
 }
 
-module.exports = { renderPage };
+module.exports = {
+  renderPage,
+  renderPendingPage,
+  renderIndexPage,
+  renderPaywallNotice,
+};
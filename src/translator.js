@@ -1,22 +1,401 @@
-const Anthropic = require("@anthropic-ai/sdk");
+const crypto = require("crypto");
+const cheerio = require("cheerio");
+const { createStore } = require("./store");
+const { getLanguage } = require("./languages");
+const { BUILTIN_PUBLICATION_ID } = require("./publications");
+const {
+  extractSegments,
+  reinsertSegments,
+  segmentDecoder,
+  stripPlaceholders,
+} = require("./segmenter");
+const {
+  splitMarkdown,
+  groupBySize,
+  splitMarkdownInHalf,
+  mapWithConcurrency,
+} = require("./chunker");
+const { glossaryPrompt, checkGlossary } = require("./glossary");
+const { checkQuality, failedChecks } = require("./quality");
+const { providerConfig } = require("./providers");
+const { recordCall, recordLookup, checkBudget } = require("./usage");
 
-const SYSTEM_PROMPT = `You are a translation engine for "The Sunday Nest," a newsletter by Ana Carolina Mexia Ponce about venture capital, AI, and technology in Latin America.  Translate English newsletter posts into Latin American Spanish while preserving Ana's authentic voice.  Ana's writing style: - Conversational and direct, like talking to a smart friend - Analytical but accessible — uses data and frameworks without being dry - Warm but confident — strong opinions shared clearly - Occasional rhetorical questions to engage readers - Short punchy paragraphs mixed with longer analytical ones - First person perspective ("I think", "I've seen")  Translation rules: - Use Latin American Spanish (ustedes, not vosotros) - Keep proper nouns, company names, product names in English (e.g., "venture capital," "B2B," "startup," "seed stage," "copilot") - Common tech terms with natural Spanish equivalents should use Spanish (e.g., "inteligencia artificial," "cadena de suministro") - Preserve all markdown formatting exactly (**, ##, links, etc.) - Preserve emojis exactly - Keep same paragraph structure and line breaks - "The Sunday Nest" and "Nido Ventures" stay in English (brand names) - Translate idioms to equivalent Spanish idioms, not literal - Do NOT include a sign-off like "Ana 🪺" at the end — omit it entirely  Return ONLY the translated text. No preamble, no explanation.`;
+// Long posts are split into chunks of roughly this many source characters
+const CHUNK_MAX_CHARS = Number(process.env.TRANSLATION_CHUNK_CHARS) || 12000;
+const CHUNK_CONCURRENCY = 3;
+const CHUNK_RETRIES = 2;
+const CHUNK_TIMEOUT_MS = 120000;
 
-// In-memory cache: postId -> { title, subtitle, content }
-const translationCache = new Map();
+// Bump whenever buildSystemPrompt or the user message changes meaningfully
+const PROMPT_VERSION = "4";
 
-const client = new Anthropic();
+// Translations that fail the quality checks are redone this many times; the
+// best attempt is kept, with its report, for an editor to look at
+const QUALITY_RETRIES = Number(process.env.QUALITY_RETRIES ?? 1);
 
 /**
- * Translate a newsletter post from English to Spanish.
- * Returns cached result if available.
+ * Build the system prompt for a publication and target language. The
+ * publication supplies its description and the author's voice, each language
+ * contributes its own style section, and the glossary section lists the
+ * terms that appear in this particular post.
  */
-async function translatePost({ postId, title, subtitle, content }) {
+function buildSystemPrompt(publication, language, glossary) {
+  return `You are a translation engine for ${publication.description}.  Translate English newsletter posts into ${language.promptName} while preserving the author's authentic voice.  ${publication.voice ? `${publication.voice}  ` : ""}Translation rules: - Keep proper nouns, company names, product names in English - Preserve all markdown formatting exactly (**, ##, links, etc.) - Preserve emojis exactly - Keep same paragraph structure and line breaks  ${language.promptName} style: ${language.style}  ${glossary ? `${glossary}  ` : ""}Return ONLY the translated text. No preamble, no explanation.`;
+}
+
+// Older translations of a post kept around after its source changes
+const MAX_HISTORY = 10;
+
+// Persistent cache: "<publicationId>:<lang>:<postId>" -> { versions: [{ sourceHash, title, subtitle, content, provider, model, promptVersion, createdAt }] }
+// Newest version first. A version is only served when its sourceHash matches the current source text.
+// Versions also keep their `source` (and `segments` in HTML mode) for the editor, and
+// a publication `status`: "draft" (machine output), "review" or "approved".
+const translationCache = createStore("translations");
+
+// Keys from before publications existed ("<lang>:<postId>") belong to the
+// built-in publication. Publication ids are longer than language codes.
+for (const key of translationCache.keys()) {
+  if (/^[a-z]{2}:/.test(key)) {
+    translationCache.set(
+      `${BUILTIN_PUBLICATION_ID}:${key}`,
+      translationCache.get(key)
+    );
+    translationCache.delete(key);
+  }
+}
+
+/**
+ * Hash the source title/subtitle/content so edits to a post invalidate its translation.
+ */
+function sourceHash({ title, subtitle, content, contentHtml }) {
+  const parts = [title || "", subtitle || "", content || ""];
+  if (contentHtml) parts.push(contentHtml);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(parts))
+    .digest("hex");
+}
+
+function cacheKey(publication, postId, lang) {
+  return `${publication.id}:${lang}:${postId}`;
+}
+
+/**
+ * Find the cached translation of postId that matches the given source hash.
+ */
+function findVersion(publication, postId, lang, hash) {
+  return (
+    getHistory(publication, postId, lang).find((v) => v.sourceHash === hash) ||
+    null
+  );
+}
+
+const STATUSES = ["draft", "review", "approved"];
+
+/**
+ * Publication status of a version. Versions cached before statuses existed
+ * are machine drafts.
+ */
+function versionStatus(version) {
+  return version.status || "draft";
+}
+
+/**
+ * A version's source text without markup or spacing, to tell versions of the
+ * same text apart from versions of an edited post. Null for versions cached
+ * without their source.
+ */
+function normalizedSource(version) {
+  if (!version.source) return null;
+  return plainText(version.source).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Cut a post's versions (newest first) down to MAX_HISTORY + 1, dropping the
+ * oldest first. The latest approved and the latest edited versions are
+ * always kept.
+ */
+function trimHistory(versions) {
+  const pinned = [
+    versions.find((v) => versionStatus(v) === "approved"),
+    versions.find((v) => v.editedAt),
+  ];
+  const kept = [...versions];
+  for (let i = kept.length - 1; i >= 0 && kept.length > MAX_HISTORY + 1; i--) {
+    if (!pinned.includes(kept[i])) kept.splice(i, 1);
+  }
+  return kept;
+}
+
+/**
+ * Store a new translation as the current version, keeping older ones as history.
+ * A machine draft never replaces a version of the same source that an editor
+ * has touched (in review or approved); that one is kept and returned instead.
+ * Older drafts of the same text in different markup are dropped.
+ */
+function saveVersion(publication, postId, lang, version) {
+  const existing = findVersion(publication, postId, lang, version.sourceHash);
+  if (
+    existing &&
+    versionStatus(existing) !== "draft" &&
+    versionStatus(version) === "draft"
+  ) {
+    return existing;
+  }
+
+  const text = normalizedSource(version);
+  const versions = trimHistory([
+    version,
+    ...getHistory(publication, postId, lang).filter(
+      (v) =>
+        v.sourceHash !== version.sourceHash &&
+        !(text && versionStatus(v) === "draft" && normalizedSource(v) === text)
+    ),
+  ]);
+  translationCache.set(cacheKey(publication, postId, lang), { versions });
+  return version;
+}
+
+/**
+ * Strip the fields only the editor needs before handing a version to callers.
+ */
+function publicVersion({ source, segments, ...version }) {
+  return { ...version, status: versionStatus(version) };
+}
+
+/**
+ * Translate a newsletter post of a publication from English into the target
+ * language (by default the publication's first language).
+ * Pass contentHtml to translate the post's HTML in place (structure-preserving);
+ * otherwise the markdown-ish content is translated as text.
+ * Returns the cached result if the source text hasn't changed since it was translated.
+ *
+ * options.onProgress(event) streams partial results while translating:
+ * { type: "segment", id, html | text } in HTML mode, { type: "chunk", index, text }
+ * in markdown mode. options.signal aborts the model requests. Nothing is
+ * cached unless every chunk completes.
+ *
+ * options.entry names where the request came from ("widget", "read", ...) for
+ * usage accounting. Throws BudgetExceededError instead of calling the model
+ * once the monthly budget is spent. options.force translates again even when
+ * the source is cached (an edited version of it is still kept, see
+ * saveVersion).
+ */
+async function translatePost(
+  {
+    publication,
+    postId,
+    title,
+    subtitle,
+    content,
+    contentHtml,
+    lang = publication.languages[0],
+  },
+  options = {}
+) {
+  const language = getLanguage(lang);
+  if (!language) throw new Error(`Unsupported language: ${lang}`);
+
+  const hash = sourceHash({ title, subtitle, content, contentHtml });
+
   // Check cache first
-  if (translationCache.has(postId)) {
-    return translationCache.get(postId);
+  const { entry = "api", force = false } = options;
+  const cached = !force && findVersion(publication, postId, lang, hash);
+  recordLookup({ publication: publication.id, entry, hit: Boolean(cached) });
+  if (cached) return publicVersion(cached);
+
+  // Throw for a misconfigured provider, an unpriced model or a spent budget
+  // before anything is sent
+  const config = providerConfig(publication, lang);
+  checkBudget(config.model);
+
+  // Glossary rules are injected per request and verified afterwards
+  const sourceText = plainText({ title, subtitle, content, contentHtml });
+  const system = buildSystemPrompt(
+    publication,
+    language,
+    glossaryPrompt(publication, sourceText, lang)
+  );
+
+  const opts = {
+    ...options,
+    system,
+    config,
+    record: (call) =>
+      recordCall({ publication: publication.id, postId, lang, entry, ...call }),
+  };
+  const source = { title, subtitle, content, contentHtml };
+  const translate = () =>
+    contentHtml
+      ? translateHtml({ title, subtitle, contentHtml }, language, opts)
+      : translateMarkdown({ title, subtitle, content }, language, opts);
+
+  let translated = await translate();
+  let quality = qualityReport(publication, lang, source, translated);
+  for (let retry = 0; !quality.passed && retry < QUALITY_RETRIES; retry++) {
+    console.warn(
+      `Translation of ${postId} (${lang}) failed quality checks (${failedChecks(
+        quality
+      ).join(", ")}), retrying`
+    );
+    const again = await translate();
+    const againQuality = qualityReport(publication, lang, source, again);
+    if (failedChecks(againQuality).length <= failedChecks(quality).length) {
+      translated = again;
+      quality = againQuality;
+    }
+  }
+  if (!quality.passed) {
+    console.warn(
+      `Translation of ${postId} (${lang}) flagged: ${failedChecks(quality).join(
+        ", "
+      )}`
+    );
   }
 
+  const result = {
+    sourceHash: hash,
+    lang,
+    ...translated,
+    quality,
+    glossaryViolations: checkGlossary(
+      publication,
+      sourceText,
+      plainText(translated),
+      lang
+    ),
+    status: "draft",
+    provider: config.provider.name,
+    model: config.model,
+    promptVersion: PROMPT_VERSION,
+    createdAt: new Date().toISOString(),
+    source,
+  };
+
+  // Cache result
+  return publicVersion(saveVersion(publication, postId, lang, result));
+}
+
+/**
+ * Run the quality checks on a translation (translatePost's translateHtml or
+ * translateMarkdown result, or an edited version) of source.
+ */
+function qualityReport(publication, lang, source, translated) {
+  return checkQuality({
+    publication,
+    lang,
+    source,
+    translated,
+    paragraphs: getParagraphs({ ...translated, source }),
+  });
+}
+
+/**
+ * Thrown when the model hit max_tokens, i.e. the translation was cut off.
+ */
+class TruncatedError extends Error {
+  constructor() {
+    super("Translation was truncated (max_tokens reached)");
+    this.name = "TruncatedError";
+  }
+}
+
+/**
+ * Send one translation request ({ instructions, text }) to the configured
+ * provider. With onText, the response is streamed and onText(delta) is called
+ * as text arrives. record(call) is given the call's tokens and duration.
+ */
+async function requestTranslation(
+  system,
+  message,
+  { config, record, onText, signal }
+) {
+  const { provider, model, maxTokens } = config;
+  const startedAt = Date.now();
+  const response = await provider.complete({
+    system,
+    instructions: message.instructions,
+    text: message.text,
+    model,
+    maxTokens,
+    onText,
+    signal,
+    timeout: CHUNK_TIMEOUT_MS,
+  });
+  // Truncated output is billed too
+  record({
+    provider: provider.name,
+    model,
+    inputTokens: response.usage.inputTokens,
+    outputTokens: response.usage.outputTokens,
+    durationMs: Date.now() - startedAt,
+  });
+  if (response.truncated) throw new TruncatedError();
+  return response.text;
+}
+
+/**
+ * Retry transient failures (timeouts, rate limits, 5xx) with exponential backoff.
+ * What counts as transient is up to the provider; truncation is never retried.
+ */
+async function withRetries(fn, provider) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const transient =
+        !(err instanceof TruncatedError) && provider.isTransient(err);
+      if (!transient || attempt >= CHUNK_RETRIES) throw err;
+      const delay = 1000 * 2 ** attempt;
+      console.warn(
+        `Chunk translation failed (${err.message}), retrying in ${delay}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Translate one chunk. If the output gets truncated, split the chunk in two,
+ * translate the halves and join them, rather than keep a partial translation.
+ * split(chunk) returns { parts, separator } or null when it can't be split.
+ * streamTo(chunk), if given, returns a fresh onText handler for each attempt.
+ */
+async function translateChunk(chunk, opts) {
+  const { system, config, record, buildMessage, split, streamTo, signal } =
+    opts;
+  try {
+    return await withRetries(
+      () =>
+        requestTranslation(system, buildMessage(chunk), {
+          config,
+          record,
+          onText: streamTo && streamTo(chunk),
+          signal,
+        }),
+      config.provider
+    );
+  } catch (err) {
+    if (!(err instanceof TruncatedError)) throw err;
+    const halves = split(chunk);
+    if (!halves) throw err;
+    console.warn("Chunk translation truncated, re-splitting");
+    const translated = [];
+    for (const part of halves.parts) {
+      translated.push(await translateChunk(part, opts));
+    }
+    return translated.join(halves.separator);
+  }
+}
+
+/**
+ * Translate title/subtitle/content as one markdown document.
+ */
+async function translateMarkdown(
+  { title, subtitle, content },
+  language,
+  { system, config, record, onProgress, signal }
+) {
   // Build the text block to translate
   const parts = [];
   if (title) parts.push(`# ${title}`);
@@ -25,19 +404,28 @@ async function translatePost({ postId, title, subtitle, content }) {
 
   const textToTranslate = parts.join("\n\n");
 
-  const response = await client.messages.create({
-    model: "claude-haiku-4-5-20251001",
-    max_tokens: 16384,
-    system: SYSTEM_PROMPT,
-    messages: [
-      {
-        role: "user",
-        content: `Translate the following newsletter post from English to Latin American Spanish:\n\n${textToTranslate}`,
-      },
-    ],
-  });
-
-  const translatedText = response.content[0].text;
+  // Long posts are translated in chunks split at section/paragraph boundaries
+  const chunks = splitMarkdown(textToTranslate, CHUNK_MAX_CHARS);
+  const translatedChunks = await mapWithConcurrency(
+    chunks,
+    CHUNK_CONCURRENCY,
+    async (chunk, index) => {
+      const text = await translateChunk(chunk, {
+        system,
+        config,
+        record,
+        buildMessage: (text) => ({
+          instructions: `Translate the following newsletter post from English to ${language.promptName}:`,
+          text,
+        }),
+        split: splitMarkdownInHalf,
+        signal,
+      });
+      if (onProgress) onProgress({ type: "chunk", index, text });
+      return text;
+    }
+  );
+  const translatedText = translatedChunks.join("\n\n");
 
   // Parse back into title / subtitle / content
   const lines = translatedText.split("\n");
@@ -51,7 +439,11 @@ async function translatePost({ postId, title, subtitle, content }) {
       translatedTitle = line.replace(/^# /, "");
     } else if (!pastHeaders && line.startsWith("### ") && !translatedSubtitle) {
       translatedSubtitle = line.replace(/^### /, "");
-    } else if (line.trim() === "" && !pastHeaders && contentLines.length === 0) {
+    } else if (
+      line.trim() === "" &&
+      !pastHeaders &&
+      contentLines.length === 0
+    ) {
       // skip blank lines between headers
     } else {
       pastHeaders = true;
@@ -59,23 +451,477 @@ async function translatePost({ postId, title, subtitle, content }) {
     }
   }
 
-  const result = {
+  return {
+    format: "markdown",
     title: translatedTitle || title,
     subtitle: translatedSubtitle || subtitle,
     content: contentLines.join("\n").trim(),
   };
+}
 
-  // Cache result
-  translationCache.set(postId, result);
+/**
+ * Translate the post's HTML without flattening it: only the text segments are
+ * sent to the model, then reinserted into the original tree.
+ */
+async function translateHtml(
+  { title, subtitle, contentHtml },
+  language,
+  { system, config, record, onProgress, signal }
+) {
+  const segments = extractSegments(contentHtml);
+  const decode = segmentDecoder(contentHtml);
+  const units = [];
+  if (title) units.push({ id: "title", text: title });
+  if (subtitle) units.push({ id: "subtitle", text: subtitle });
+  segments.forEach((text, i) => units.push({ id: String(i), text }));
+
+  // Report each segment as soon as its closing </seg> has streamed in
+  const emitSegment = (id, text) => {
+    if (id === "title" || id === "subtitle") {
+      onProgress({ type: "segment", id, text: stripPlaceholders(text) });
+    } else {
+      onProgress({ type: "segment", id, html: decode(Number(id), text) });
+    }
+  };
+
+  const batches = groupBySize(units, CHUNK_MAX_CHARS, (u) => u.text.length);
+  const translatedBatches = await mapWithConcurrency(
+    batches,
+    CHUNK_CONCURRENCY,
+    (batch) =>
+      translateChunk(batch, {
+        system,
+        config,
+        record,
+        buildMessage: (batchUnits) => segmentMessage(language, batchUnits),
+        split: splitBatchInHalf,
+        streamTo: onProgress && (() => segmentScanner(emitSegment)),
+        signal,
+      })
+  );
+  const translated = parseSegments(translatedBatches.join("\n"));
+
+  // Title and subtitle are plain text; fall back to English if the model dropped them
+  const titleText = (id, original) =>
+    stripPlaceholders(translated.get(id) || "") || original;
+
+  // Segments the model skipped keep their English text
+  const translatedSegments = segments.map((text, i) =>
+    translated.has(String(i)) ? translated.get(String(i)) : text
+  );
+
+  return {
+    format: "html",
+    title: titleText("title", title),
+    subtitle: titleText("subtitle", subtitle),
+    contentHtml: reinsertSegments(contentHtml, translatedSegments),
+    segments: translatedSegments,
+  };
+}
+
+const SEGMENT_RULES = `The post is split into segments, each wrapped in <seg id="...">…</seg>. Return every segment with the same id, in the same order, wrapped the same way, with only its text translated. Segments contain placeholder tags like <x0>…</x0> and <x1/> that stand for formatting and links: keep every placeholder exactly as written, around the translated words it applies to. If a segment should be omitted (such as a sign-off), return it empty.`;
+
+/**
+ * Split a batch of segments in two. A single segment can't be split further.
+ */
+function splitBatchInHalf(units) {
+  if (units.length < 2) return null;
+  const mid = Math.ceil(units.length / 2);
+  return { parts: [units.slice(0, mid), units.slice(mid)], separator: "\n" };
+}
+
+function segmentMessage(language, units) {
+  return {
+    instructions: `Translate the following newsletter post from English to ${language.promptName}. ${SEGMENT_RULES}`,
+    text: units
+      .map(({ id, text }) => `<seg id="${id}">${text}</seg>`)
+      .join("\n"),
+  };
+}
+
+/**
+ * Returns an onText handler that calls onSegment(id, text) for every <seg>
+ * completed so far in the streamed output.
+ */
+function segmentScanner(onSegment) {
+  let buffer = "";
+  let scanned = 0;
+  return (delta) => {
+    buffer += delta;
+    const pattern = /<seg id="([^"]+)">([\s\S]*?)<\/seg>/g;
+    pattern.lastIndex = scanned;
+    let match;
+    while ((match = pattern.exec(buffer))) {
+      onSegment(match[1], match[2].trim());
+      scanned = pattern.lastIndex;
+    }
+  };
+}
+
+/**
+ * Parse the model's <seg> output into a Map of id -> translated text.
+ */
+function parseSegments(text) {
+  const translated = new Map();
+  for (const match of text.matchAll(/<seg id="([^"]+)">([\s\S]*?)<\/seg>/g)) {
+    translated.set(match[1], match[2].trim());
+  }
+  return translated;
+}
+
+// --- Editorial review ---
 
-  return result;
+/**
+ * Summaries of the current version of every cached translation.
+ */
+function listTranslations() {
+  return translationCache
+    .entries()
+    .map(([key, record]) => {
+      const [publication, lang] = key.split(":", 2);
+      const postId = key.slice(publication.length + lang.length + 2);
+      const history = (record && record.versions) || [];
+      if (!history.length) return null;
+      const current = history[0];
+      return {
+        publication,
+        postId,
+        lang,
+        title: current.title,
+        format: current.format || "markdown",
+        sourceHash: current.sourceHash,
+        createdAt: current.createdAt,
+        // Bytes of every cached version of the post in this language
+        size: Buffer.byteLength(JSON.stringify(record)),
+        status: versionStatus(current),
+        model: current.model,
+        // Translated with an older prompt; bulk re-translation picks these up
+        outdated: current.promptVersion !== PROMPT_VERSION,
+        // Null for translations cached before quality checks
+        qualityIssues: current.quality ? failedChecks(current.quality) : null,
+        versions: history.length,
+      };
+    })
+    .filter(Boolean);
 }
 
 /**
- * Check if a post is already cached.
+ * Remove every cached version of a post in one language. Returns whether
+ * there was anything to remove.
  */
-function isCached(postId) {
-  return translationCache.has(postId);
+function deleteTranslation(publication, postId, lang) {
+  return translationCache.delete(cacheKey(publication, postId, lang));
+}
+
+/**
+ * Pair up source and translated paragraphs: [{ id, source, translated }].
+ * HTML translations are split by segment, markdown ones by blank lines.
+ */
+function getParagraphs(version) {
+  const { source } = version;
+  const rows = [];
+  if (source.title) {
+    rows.push({ id: "title", source: source.title, translated: version.title });
+  }
+  if (source.subtitle) {
+    rows.push({
+      id: "subtitle",
+      source: source.subtitle,
+      translated: version.subtitle,
+    });
+  }
+
+  if (version.format === "html") {
+    extractSegments(source.contentHtml).forEach((text, i) =>
+      rows.push({
+        id: String(i),
+        source: text,
+        translated: version.segments[i],
+      })
+    );
+  } else {
+    const sourceParas = (source.content || "").split(/\n{2,}/);
+    const translatedParas = (version.content || "").split(/\n{2,}/);
+    const count = Math.max(sourceParas.length, translatedParas.length);
+    for (let i = 0; i < count; i++) {
+      rows.push({
+        id: String(i),
+        source: sourceParas[i] || "",
+        translated: translatedParas[i] || "",
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Look up a version for editing. Returns null if it doesn't exist; throws if
+ * it was cached before sources were stored alongside translations.
+ */
+function findEditableVersion(publication, postId, lang, hash) {
+  const version = hash
+    ? findVersion(publication, postId, lang, hash)
+    : getHistory(publication, postId, lang)[0];
+  if (!version) return null;
+  if (!version.source) {
+    throw new Error(
+      "This translation was cached before editing was supported; re-translate it first"
+    );
+  }
+  return version;
+}
+
+/**
+ * Side-by-side view of a cached translation for the editor. Defaults to the
+ * current version when no source hash is given.
+ */
+function getEditableTranslation(publication, postId, lang, hash) {
+  const version = findEditableVersion(publication, postId, lang, hash);
+  if (!version) return null;
+  return {
+    publication: publication.id,
+    postId,
+    ...publicVersion(version),
+    format: version.format || "markdown",
+    status: versionStatus(version),
+    quality:
+      version.quality ||
+      qualityReport(publication, lang, version.source, version),
+    paragraphs: getParagraphs(version),
+  };
+}
+
+/**
+ * Apply an editor's changes ({ [paragraphId]: text }) and store the result
+ * with the given status ("review" or "approved"). translatePost then serves
+ * the edited version for this source instead of the model output.
+ */
+function saveEditedTranslation(
+  publication,
+  postId,
+  lang,
+  hash,
+  edits = {},
+  status = "approved"
+) {
+  if (!STATUSES.includes(status)) throw new Error(`Invalid status: ${status}`);
+  const version = findEditableVersion(publication, postId, lang, hash);
+  if (!version) return null;
+
+  const edited = (row) =>
+    Object.prototype.hasOwnProperty.call(edits, row.id)
+      ? String(edits[row.id])
+      : row.translated;
+  const rows = getParagraphs(version);
+  const byId = new Map(rows.map((row) => [row.id, edited(row)]));
+  const body = rows
+    .filter((row) => row.id !== "title" && row.id !== "subtitle")
+    .map(edited);
+
+  const updated = {
+    ...version,
+    title: byId.has("title") ? byId.get("title") : version.title,
+    subtitle: byId.has("subtitle") ? byId.get("subtitle") : version.subtitle,
+    status,
+    editedAt: new Date().toISOString(),
+  };
+  if (status === "approved") updated.approvedAt = updated.editedAt;
+  else delete updated.approvedAt;
+  if (version.format === "html") {
+    updated.segments = body;
+    updated.contentHtml = reinsertSegments(version.source.contentHtml, body);
+  } else {
+    updated.content = body.join("\n\n");
+  }
+  updated.glossaryViolations = checkGlossary(
+    publication,
+    plainText(version.source),
+    plainText(updated),
+    lang
+  );
+  updated.quality = qualityReport(publication, lang, version.source, updated);
+
+  return getEditableTranslation(
+    publication,
+    postId,
+    lang,
+    saveVersion(publication, postId, lang, updated).sourceHash
+  );
+}
+
+/**
+ * Ask the model for a fresh translation of a single paragraph. The result is
+ * returned for the editor to review, not saved.
+ */
+async function regenerateParagraph(publication, postId, lang, hash, id) {
+  const version = findEditableVersion(publication, postId, lang, hash);
+  if (!version) return null;
+  const row = getParagraphs(version).find((r) => r.id === id);
+  if (!row) throw new Error(`Unknown paragraph: ${id}`);
+
+  const language = getLanguage(lang);
+  const system = buildSystemPrompt(
+    publication,
+    language,
+    glossaryPrompt(publication, row.source, lang)
+  );
+  const config = providerConfig(publication, lang);
+  checkBudget(config.model);
+  const record = (call) =>
+    recordCall({
+      publication: publication.id,
+      postId,
+      lang,
+      entry: "editor",
+      ...call,
+    });
+  const text = await withRetries(
+    () =>
+      requestTranslation(
+        system,
+        segmentMessage(language, [{ id, text: row.source }]),
+        { config, record }
+      ),
+    config.provider
+  );
+  return parseSegments(text).get(id) || "";
+}
+
+/**
+ * Plain text of a post or translation, for glossary checks.
+ */
+function plainText({ title, subtitle, content, contentHtml }) {
+  const body = contentHtml ? cheerio.load(contentHtml).text() : content;
+  return [title, subtitle, body].filter(Boolean).join("\n\n");
+}
+
+/**
+ * Check if a post is already cached. When the source is given, only a
+ * translation of that exact source text counts.
+ */
+function isCached(publication, postId, source, lang) {
+  if (!source) return translationCache.has(cacheKey(publication, postId, lang));
+  return Boolean(findVersion(publication, postId, lang, sourceHash(source)));
+}
+
+/**
+ * The cached translation of this exact source text, or null. Never calls the
+ * model.
+ */
+function getCachedTranslation(publication, postId, source, lang) {
+  const version = findVersion(publication, postId, lang, sourceHash(source));
+  return version ? publicVersion(version) : null;
+}
+
+/**
+ * List every cached translation of a post in one language, newest first.
+ */
+function getHistory(publication, postId, lang) {
+  const record = translationCache.get(cacheKey(publication, postId, lang));
+  // Entries written before versioning have no history and are treated as stale
+  return (record && record.versions) || [];
+}
+
+// --- Backups ---
+
+/**
+ * The whole translation cache as a JSON-serializable object, in the shape
+ * importTranslations takes.
+ */
+function exportTranslations() {
+  return {
+    exportedAt: new Date().toISOString(),
+    promptVersion: PROMPT_VERSION,
+    translations: Object.fromEntries(translationCache.entries()),
+  };
+}
+
+// Which of two versions of the same source to keep: an editor's work over a
+// machine draft, otherwise the more recent one
+function preferredVersion(a, b) {
+  const edited = (v) => versionStatus(v) !== "draft";
+  if (edited(a) !== edited(b)) return edited(a) ? a : b;
+  const time = (v) => v.editedAt || v.createdAt || "";
+  return time(b) > time(a) ? b : a;
+}
+
+/**
+ * Load an export from exportTranslations. Entries are merged into the cache
+ * version by version (see preferredVersion), or with replace: true the cache
+ * is emptied first. Entries with a malformed key or versions are skipped, but
+ * a replace with any of them throws before the cache is touched.
+ * Returns { imported, skipped: [{ key, reason }] }.
+ */
+function importTranslations(data, { replace = false } = {}) {
+  const entries =
+    data && typeof data.translations === "object" && data.translations;
+  if (!entries)
+    throw new Error("Expected an export with a translations object");
+
+  const valid = [];
+  const skipped = [];
+  for (const [key, record] of Object.entries(entries)) {
+    const [publication, lang] = key.split(":", 2);
+    const postId = key.slice(`${publication}:${lang}:`.length);
+    const versions = record && record.versions;
+    if (!lang || !postId || !getLanguage(lang)) {
+      skipped.push({ key, reason: "Malformed key" });
+    } else if (
+      !Array.isArray(versions) ||
+      !versions.length ||
+      !versions.every((v) => v && typeof v.sourceHash === "string")
+    ) {
+      skipped.push({ key, reason: "Malformed versions" });
+    } else {
+      valid.push([key, versions]);
+    }
+  }
+
+  if (replace && skipped.length) {
+    throw new Error(
+      `${skipped.length} malformed entries (${skipped[0].key}: ${skipped[0].reason}); nothing was replaced`
+    );
+  }
+  const merged = valid.map(([key, versions]) => {
+    const byHash = new Map();
+    const existing = replace
+      ? []
+      : (translationCache.get(key) || {}).versions || [];
+    for (const version of [...existing, ...versions]) {
+      const other = byHash.get(version.sourceHash);
+      byHash.set(
+        version.sourceHash,
+        other ? preferredVersion(other, version) : version
+      );
+    }
+    const history = trimHistory(
+      [...byHash.values()].sort((a, b) =>
+        (b.createdAt || "").localeCompare(a.createdAt || "")
+      )
+    );
+    return [key, { versions: history }];
+  });
+  // Written to the store once, not once per entry
+  translationCache.setMany(merged, { replace });
+  return { imported: valid.length, skipped };
 }
 
-module.exports = { translatePost, isCached, translationCache };
+module.exports = {
+  translatePost,
+  isCached,
+  getCachedTranslation,
+  getHistory,
+  versionStatus,
+  STATUSES,
+  listTranslations,
+  deleteTranslation,
+  exportTranslations,
+  importTranslations,
+  getEditableTranslation,
+  saveEditedTranslation,
+  regenerateParagraph,
+  sourceHash,
+  translationCache,
+  PROMPT_VERSION,
+};
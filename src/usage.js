@@ -0,0 +1,358 @@
+const { createStore } = require("./store");
+
+// Usage per UTC day: "YYYY-MM-DD" -> { calls: [...], lookups: { "<publicationId>:<entry>": { hits, misses } } }.
+// A call is one model request: { at, publication, postId, lang, entry,
+// provider, model, inputTokens, outputTokens, durationMs, costUsd }.
+const usageStore = createStore("usage");
+
+// Days of usage kept, enough for a year of monthly totals
+const RETENTION_DAYS = Number(process.env.USAGE_RETENTION_DAYS || 400);
+
+// Calls and cache lookups are kept in memory and written out at most this
+// often, rather than rewriting the store on every one
+const FLUSH_MS = 60 * 1000;
+
+// 0 means no budget
+const MONTHLY_BUDGET_USD = Number(process.env.MONTHLY_BUDGET_USD || 0);
+
+// USD per million input and output tokens, by model name prefix (dated model
+// names like claude-haiku-4-5-20251001 match their family). MODEL_PRICES, as
+// JSON in the same shape, adds models or overrides these. With a budget set,
+// models without a price aren't called, since their spend can't be counted.
+const PRICES = {
+  "claude-haiku-4-5": [1, 5],
+  "claude-3-5-haiku": [0.8, 4],
+  "claude-sonnet-4": [3, 15],
+  "claude-opus-4-1": [15, 75],
+  "claude-opus-4": [15, 75],
+  pseudo: [0, 0],
+  ...parsePrices(process.env.MODEL_PRICES),
+};
+
+function parsePrices(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    console.error("Ignoring MODEL_PRICES:", err.message);
+    return {};
+  }
+}
+
+/**
+ * Thrown instead of calling the model once this month's spend has reached
+ * MONTHLY_BUDGET_USD. Retrying won't help until the month is over.
+ */
+class BudgetExceededError extends Error {
+  constructor(spentUsd) {
+    super(
+      `Monthly translation budget of $${MONTHLY_BUDGET_USD} reached ($${spentUsd.toFixed(
+        2
+      )} spent); only cached translations are available until next month`
+    );
+    this.name = "BudgetExceededError";
+    this.retryable = false;
+  }
+}
+
+/**
+ * Thrown instead of calling a model without a price while MONTHLY_BUDGET_USD
+ * is set. Retrying won't help until MODEL_PRICES has it.
+ */
+class UnpricedModelError extends Error {
+  constructor(model) {
+    super(
+      `No price for model ${model}, so it can't be held to the monthly budget; add it to MODEL_PRICES`
+    );
+    this.name = "UnpricedModelError";
+    this.retryable = false;
+  }
+}
+
+/**
+ * Estimated cost of a model call in USD, or null for a model without a price.
+ */
+function estimateCost(model, inputTokens, outputTokens) {
+  const prefix = Object.keys(PRICES)
+    .filter((p) => model.startsWith(p))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) return null;
+  const [input, output] = PRICES[prefix];
+  return round((inputTokens * input + outputTokens * output) / 1e6);
+}
+
+function round(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * The usage record for a day, creating it (and dropping days past
+ * RETENTION_DAYS) on the first write of the day.
+ */
+function dayRecord(day) {
+  const record = usageStore.get(day);
+  if (record) return record;
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 864e5)
+    .toISOString()
+    .slice(0, 10);
+  for (const key of usageStore.keys()) {
+    if (key < cutoff) usageStore.delete(key);
+  }
+  return { calls: [], lookups: {} };
+}
+
+// Usage not written out yet: day -> { calls: [...], lookups: { "<publicationId>:<entry>": { hits, misses } } }
+const pending = new Map();
+let flushTimer = null;
+
+function pendingRecord(day) {
+  if (!pending.has(day)) pending.set(day, { calls: [], lookups: {} });
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushUsage, FLUSH_MS);
+    flushTimer.unref();
+  }
+  return pending.get(day);
+}
+
+/**
+ * Record one model call against the post, language and entry point ("widget",
+ * "api", "read", "slack", "pre-translate", "editor" or "admin") it was made
+ * for. Kept in memory until the next flushUsage, like lookups.
+ */
+function recordCall({
+  publication,
+  postId,
+  lang,
+  entry,
+  provider,
+  model,
+  inputTokens,
+  outputTokens,
+  durationMs,
+}) {
+  const call = {
+    at: new Date().toISOString(),
+    publication,
+    postId,
+    lang,
+    entry,
+    provider,
+    model,
+    inputTokens,
+    outputTokens,
+    durationMs,
+    costUsd: estimateCost(model, inputTokens, outputTokens),
+  };
+  pendingRecord(today()).calls.push(call);
+  return call;
+}
+
+/**
+ * Count a translation lookup: hit if it was served from the cache, a miss if
+ * it needed the model. Kept in memory until the next flushUsage, so a crash
+ * loses at most FLUSH_MS of counts.
+ */
+function recordLookup({ publication, entry, hit }) {
+  const { lookups } = pendingRecord(today());
+  const key = `${publication}:${entry}`;
+  const counts = lookups[key] || { hits: 0, misses: 0 };
+  lookups[key] = {
+    hits: counts.hits + (hit ? 1 : 0),
+    misses: counts.misses + (hit ? 0 : 1),
+  };
+}
+
+/**
+ * Add the calls and lookups recorded since the last flush to the store, one
+ * write per day.
+ */
+function flushUsage() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  for (const [day, { calls, lookups }] of pending) {
+    const record = dayRecord(day);
+    const merged = { ...record.lookups };
+    for (const [key, { hits, misses }] of Object.entries(lookups)) {
+      const counts = merged[key] || { hits: 0, misses: 0 };
+      merged[key] = {
+        hits: counts.hits + hits,
+        misses: counts.misses + misses,
+      };
+    }
+    usageStore.set(day, {
+      calls: [...record.calls, ...calls],
+      lookups: merged,
+    });
+  }
+  pending.clear();
+}
+
+// Written out on a clean exit, not lost with the timer
+process.on("exit", flushUsage);
+
+/**
+ * Spend so far in a month ("YYYY-MM", the current one by default), in USD,
+ * including calls not written out yet.
+ */
+function monthSpend(month = today().slice(0, 7)) {
+  let spent = 0;
+  for (const [day, record] of [...usageStore.entries(), ...pending]) {
+    if (!day.startsWith(month)) continue;
+    for (const call of record.calls) spent += call.costUsd || 0;
+  }
+  return round(spent);
+}
+
+/**
+ * Throw BudgetExceededError if this month's spend has reached the budget,
+ * or UnpricedModelError if model (when given) has no price while a budget
+ * is set.
+ */
+function checkBudget(model) {
+  if (!MONTHLY_BUDGET_USD) return;
+  if (model && estimateCost(model, 0, 0) == null) {
+    throw new UnpricedModelError(model);
+  }
+  const spent = monthSpend();
+  if (spent >= MONTHLY_BUDGET_USD) throw new BudgetExceededError(spent);
+}
+
+/**
+ * Token, cost and cache totals of a set of calls and lookup counts.
+ */
+function totals(calls, lookups) {
+  const sum = {
+    calls: calls.length,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+    // Calls to models without a price, left out of costUsd
+    unpricedCalls: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+  };
+  for (const call of calls) {
+    sum.inputTokens += call.inputTokens;
+    sum.outputTokens += call.outputTokens;
+    if (call.costUsd == null) sum.unpricedCalls++;
+    else sum.costUsd += call.costUsd;
+  }
+  for (const { hits, misses } of lookups) {
+    sum.cacheHits += hits;
+    sum.cacheMisses += misses;
+  }
+  const lookupCount = sum.cacheHits + sum.cacheMisses;
+  return {
+    ...sum,
+    costUsd: round(sum.costUsd),
+    cacheHitRate: lookupCount
+      ? Math.round((sum.cacheHits / lookupCount) * 1000) / 1000
+      : null,
+  };
+}
+
+/**
+ * Group items by key(item) into [{ key, items }], in order of first appearance.
+ */
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const k = key(item);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  }
+  return [...groups].map(([k, group]) => ({ key: k, items: group }));
+}
+
+/**
+ * Usage report for /api/stats, optionally for one publication: daily totals
+ * for the last `days` days, monthly totals, and this month's totals by entry
+ * point and for the most expensive posts. The budget is always the global one.
+ */
+function usageStats({ publication = null, days = 30, topPosts = 20 } = {}) {
+  flushUsage();
+  const month = today().slice(0, 7);
+  const since = new Date(Date.now() - (days - 1) * 864e5)
+    .toISOString()
+    .slice(0, 10);
+
+  // One row per day, with its calls and lookups for this publication
+  const rows = usageStore
+    .entries()
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([day, record]) => ({
+      day,
+      calls: record.calls.filter(
+        (c) => !publication || c.publication === publication
+      ),
+      lookups: Object.entries(record.lookups)
+        .filter(([key]) => !publication || key.startsWith(`${publication}:`))
+        .map(([key, counts]) => ({ entry: key.split(":")[1], ...counts })),
+    }));
+
+  const dayTotals = (group) =>
+    totals(
+      group.flatMap((r) => r.calls),
+      group.flatMap((r) => r.lookups)
+    );
+  const thisMonth = rows.filter((r) => r.day.startsWith(month));
+  const monthCalls = thisMonth.flatMap((r) => r.calls);
+  const monthLookups = thisMonth.flatMap((r) => r.lookups);
+  const spent = monthSpend(month);
+
+  return {
+    publication,
+    budget: {
+      monthlyUsd: MONTHLY_BUDGET_USD || null,
+      spentUsd: spent,
+      remainingUsd: MONTHLY_BUDGET_USD
+        ? round(Math.max(0, MONTHLY_BUDGET_USD - spent))
+        : null,
+      exceeded: Boolean(MONTHLY_BUDGET_USD) && spent >= MONTHLY_BUDGET_USD,
+    },
+    daily: rows
+      .filter((r) => r.day >= since)
+      .map((r) => ({ date: r.day, ...dayTotals([r]) })),
+    monthly: groupBy(rows, (r) => r.day.slice(0, 7)).map(({ key, items }) => ({
+      month: key,
+      ...dayTotals(items),
+    })),
+    entries: Object.fromEntries(
+      [
+        ...new Set([
+          ...monthCalls.map((c) => c.entry),
+          ...monthLookups.map((l) => l.entry),
+        ]),
+      ].map((entry) => [
+        entry,
+        totals(
+          monthCalls.filter((c) => c.entry === entry),
+          monthLookups.filter((l) => l.entry === entry)
+        ),
+      ])
+    ),
+    posts: groupBy(monthCalls, (c) => `${c.publication}:${c.postId}`)
+      .map(({ items }) => ({
+        publication: items[0].publication,
+        postId: items[0].postId,
+        languages: [...new Set(items.map((c) => c.lang))],
+        ...totals(items, []),
+      }))
+      .sort((a, b) => b.costUsd - a.costUsd)
+      .slice(0, topPosts)
+      .map(({ cacheHits, cacheMisses, cacheHitRate, ...post }) => post),
+  };
+}
+
+module.exports = {
+  recordCall,
+  recordLookup,
+  checkBudget,
+  usageStats,
+  BudgetExceededError,
+  UnpricedModelError,
+};
@@ -0,0 +1,153 @@
+const cheerio = require("cheerio");
+const {
+  lookupPost,
+  postSource,
+  slugFromPostId,
+  subscriberCookie,
+} = require("./reader");
+
+// Share of the submitted words that must also appear in the real post
+const MIN_WORD_OVERLAP = 0.9;
+
+// Submitted content may be a little longer than the post (rendered captions,
+// buttons), but not enough to smuggle in a second document
+const MAX_LENGTH_RATIO = 1.2;
+
+function htmlText(html) {
+  return cheerio.load(html).text();
+}
+
+function words(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  );
+}
+
+// How far ahead in the submitted text the next word of the paid-only part
+// may turn up (rendered captions and buttons sit in between)
+const ORDER_WINDOW = 50;
+
+function bodyWords(post) {
+  return words(
+    post.contentHtml ? htmlText(post.contentHtml) : post.contentText
+  );
+}
+
+function submittedWords({ subtitle, content, contentHtml }) {
+  return [
+    ...words(subtitle),
+    ...words(contentHtml ? htmlText(contentHtml) : content),
+  ];
+}
+
+/**
+ * Share of the words of required that appear in submitted in the same order.
+ */
+function orderedCoverage(submitted, required) {
+  if (!required.length) return 1;
+  let found = 0;
+  let at = 0;
+  for (const word of required) {
+    const end = Math.min(submitted.length, at + ORDER_WINDOW);
+    for (let i = at; i < end; i++) {
+      if (submitted[i] === word) {
+        found++;
+        at = i + 1;
+        break;
+      }
+    }
+  }
+  return found / required.length;
+}
+
+/**
+ * Whether a submission holds the paid-only part of a post (what the full
+ * text has past the preview), in order. Only a reader who can see the
+ * post has that, so translating it for them gives nothing away.
+ */
+function coversPaidPart(preview, fullPost, source) {
+  const paidWords = bodyWords(fullPost).slice(bodyWords(preview).length);
+  return (
+    paidWords.length > 0 &&
+    orderedCoverage(submittedWords(source), paidWords) >= MIN_WORD_OVERLAP
+  );
+}
+
+function normalizeTitle(title) {
+  return words(title).join(" ");
+}
+
+/**
+ * Compare a submitted source with a fetched post. Returns an error message,
+ * or null if it matches. Loose on purpose: the widget sends the rendered
+ * page, which never matches the API's HTML exactly, and what it sent is
+ * never translated anyway.
+ */
+function compareSource(post, source) {
+  const { title, subtitle } = source;
+  if (title && normalizeTitle(title) !== normalizeTitle(post.title)) {
+    return "Title does not match the post";
+  }
+
+  const postBody = bodyWords(post);
+  const known = new Set([
+    ...words(post.title),
+    ...words(post.subtitle),
+    // contentText keeps link URLs, which markdown submissions include too
+    ...words(post.contentText),
+    ...postBody,
+  ]);
+  const submitted = submittedWords(source);
+  if (!submitted.length) return null;
+
+  const postLength = words(post.subtitle).length + postBody.length;
+  const matching = submitted.filter((w) => known.has(w)).length;
+  if (
+    submitted.length > postLength * MAX_LENGTH_RATIO ||
+    matching / submitted.length < MIN_WORD_OVERLAP
+  ) {
+    return "Content does not match the post";
+  }
+  return null;
+}
+
+/**
+ * Check that a translate request's source really is the post it claims to be,
+ * by comparing it with the post as published on the publication's Substack.
+ * Resolves { error } if it doesn't match, else { post, source }: the post it
+ * matched (for paywalled posts either the preview, truncated, or the full
+ * text) and that post's own source, which is what gets translated. Full
+ * text is only accepted when it can be checked against the post fetched with
+ * the publication's subscriber cookie, and the submission holds the part
+ * past the paywall word for word; anything less is a preview mismatch.
+ */
+async function verifyPostSource(publication, postId, source) {
+  const slug = slugFromPostId(postId);
+  if (!slug) return { error: "postId must be a post path like /p/<slug>" };
+
+  const post = await lookupPost(publication, slug);
+  if (!post) return { error: "Unknown post" };
+
+  const error = compareSource(post, source);
+  if (!error) return { post, source: postSource(post) };
+  if (!post.truncated) return { error };
+
+  // More than the preview: a subscriber's copy of a paid post
+  if (!subscriberCookie(publication)) {
+    return { error: "Subscriber-only content can't be verified" };
+  }
+  const fullPost = await lookupPost(publication, slug, { authenticated: true });
+  if (
+    !fullPost ||
+    fullPost.truncated ||
+    compareSource(fullPost, source) ||
+    !coversPaidPart(post, fullPost, source)
+  ) {
+    return { error };
+  }
+  return { post: fullPost, source: postSource(fullPost) };
+}
+
+module.exports = { verifyPostSource };
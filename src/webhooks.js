@@ -0,0 +1,213 @@
+const crypto = require("crypto");
+const { createStore } = require("./store");
+const { createQueue } = require("./queue");
+
+/**
+ * Outbound webhooks: other services (a CMS mirror, the newsletter pipeline)
+ * register a URL through the admin API and get a signed JSON POST for each
+ * translation event they subscribe to.
+ *
+ * The body is { id, event, createdAt, data }, where id is the same for every
+ * endpoint and every retry of one event (use it to drop duplicates). Each
+ * request carries X-Nest-Event, X-Nest-Delivery (the event id),
+ * X-Nest-Timestamp (Unix seconds) and X-Nest-Signature: "sha256=" and the hex
+ * HMAC-SHA256 of "<timestamp>.<body>" keyed with the endpoint's secret.
+ */
+
+const EVENTS = [
+  "translation.started",
+  "translation.completed",
+  "translation.failed",
+  "translation.approved",
+];
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Registered endpoints: id -> { id, url, events, secret, createdAt }
+const webhookStore = createStore("webhooks");
+
+/**
+ * Validate and fill in an endpoint from the admin API. Events default to all
+ * of them and the secret to a random one.
+ */
+function normalizeWebhook(input, existing) {
+  const {
+    id,
+    url,
+    events = EVENTS,
+    secret = existing
+      ? existing.secret
+      : crypto.randomBytes(24).toString("hex"),
+  } = input || {};
+
+  if (typeof id !== "string" || !/^[a-z0-9-]+$/.test(id)) {
+    throw new Error("id must be lowercase letters, digits or dashes");
+  }
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error("url must be a URL, e.g. https://example.com/hooks/nest");
+  }
+  if (!/^https?:$/.test(parsed.protocol)) {
+    throw new Error("url must be http or https");
+  }
+  if (
+    !Array.isArray(events) ||
+    !events.length ||
+    !events.every((e) => EVENTS.includes(e))
+  ) {
+    throw new Error(`events must be a non-empty list of: ${EVENTS.join(", ")}`);
+  }
+  if (typeof secret !== "string" || secret.length < 16) {
+    throw new Error("secret must be at least 16 characters");
+  }
+  return {
+    id,
+    url: parsed.href,
+    events,
+    secret,
+    createdAt: existing ? existing.createdAt : new Date().toISOString(),
+  };
+}
+
+function listWebhooks() {
+  return webhookStore.entries().map(([, webhook]) => webhook);
+}
+
+/**
+ * Create or replace an endpoint. A replaced endpoint keeps its secret unless
+ * a new one is given. Throws on invalid input.
+ */
+function saveWebhook(input) {
+  const existing = input && webhookStore.get(input.id);
+  const webhook = normalizeWebhook(input, existing);
+  webhookStore.set(webhook.id, webhook);
+  return webhook;
+}
+
+/**
+ * Remove an endpoint. Its pending deliveries fail on their next attempt.
+ * Returns false if there was nothing to remove.
+ */
+function removeWebhook(id) {
+  return webhookStore.delete(id);
+}
+
+function sign(secret, timestamp, body) {
+  return (
+    "sha256=" +
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex")
+  );
+}
+
+/**
+ * POST one event to one endpoint. Network errors, timeouts, 408, 429 and
+ * 5xx responses are retried; other failures aren't.
+ */
+async function deliver({ webhook: webhookId, event, body }) {
+  const webhook = webhookStore.get(webhookId);
+  if (!webhook) {
+    const err = new Error(`Webhook ${webhookId} was removed`);
+    err.retryable = false;
+    throw err;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const res = await fetch(webhook.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "Nest-Translator-Webhooks",
+      "X-Nest-Event": event,
+      "X-Nest-Delivery": JSON.parse(body).id,
+      "X-Nest-Timestamp": String(timestamp),
+      "X-Nest-Signature": sign(webhook.secret, timestamp, body),
+    },
+    body,
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const err = new Error(`${webhook.url} responded ${res.status}`);
+    err.retryable =
+      res.status === 408 || res.status === 429 || res.status >= 500;
+    throw err;
+  }
+  return { responseStatus: res.status };
+}
+
+// Deliveries are queue jobs: retried with exponential backoff (10s, 20s, ...)
+// and kept once finished as the delivery log
+const deliveryQueue = createQueue({
+  name: "webhook-deliveries",
+  run: deliver,
+  summarize: (result) => result,
+  concurrency: 2,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+  backoffMs: 10 * 1000,
+});
+
+/**
+ * Send an event to every endpoint subscribed to it. data describes the
+ * translation (see the listeners in server.js). Returns the queued deliveries.
+ */
+function sendEvent(event, data) {
+  if (!EVENTS.includes(event)) throw new Error(`Unknown event: ${event}`);
+  const body = JSON.stringify({
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data,
+  });
+  return listWebhooks()
+    .filter((webhook) => webhook.events.includes(event))
+    .map((webhook) =>
+      deliveryQueue.submit({ webhook: webhook.id, event, body })
+    );
+}
+
+/**
+ * A delivery as shown in the admin delivery log.
+ */
+function publicDelivery({
+  id,
+  status,
+  data,
+  attempts,
+  maxAttempts,
+  error,
+  result,
+  createdAt,
+  runAt,
+  finishedAt,
+}) {
+  const body = JSON.parse(data.body);
+  return {
+    id,
+    webhook: data.webhook,
+    event: data.event,
+    eventId: body.id,
+    status,
+    attempts,
+    maxAttempts,
+    error,
+    responseStatus: result ? result.responseStatus : null,
+    createdAt,
+    finishedAt,
+    nextAttemptAt: status === "queued" && attempts ? runAt : null,
+    data: body.data,
+  };
+}
+
+module.exports = {
+  EVENTS,
+  listWebhooks,
+  saveWebhook,
+  removeWebhook,
+  sendEvent,
+  deliveryQueue,
+  publicDelivery,
+};
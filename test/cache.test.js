@@ -0,0 +1,114 @@
+process.env.TRANSLATION_STORE = "memory";
+process.env.TRANSLATION_PROVIDER = "mock";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { defaultPublication } = require("../src/publications");
+const { isCached } = require("../src/translator");
+const {
+  translationQueue,
+  fetchJobSource,
+  submitTranslation,
+} = require("../src/jobs");
+const { runScheduler } = require("../src/scheduler");
+const { verifyPostSource } = require("../src/verify");
+
+const publication = defaultPublication();
+
+const BODY_HTML =
+  '<p>First paragraph with a <a href="https://example.com">link</a>.</p><p>Second paragraph.</p>';
+
+// What the widget sends: the rendered post, which isn't Substack's body_html
+const WIDGET_HTML =
+  '<div class="available-content"><p>First paragraph with a <a href="https://example.com" rel="nofollow">link</a>.</p>\n<p>Second paragraph.</p></div>';
+
+// Substack's archive and post APIs
+global.fetch = async (url) => {
+  const { pathname } = new URL(url);
+  if (pathname === "/api/v1/archive") {
+    return Response.json([{ slug: "cached-post", title: "Cached post" }]);
+  }
+  const match = pathname.match(/^\/api\/v1\/posts\/([a-z0-9-]+)$/);
+  if (!match) return new Response("Not found", { status: 404 });
+  return Response.json({
+    slug: match[1],
+    title: "Cached post",
+    subtitle: "A subtitle",
+    body_html: BODY_HTML,
+  });
+};
+
+translationQueue.start();
+
+async function drainQueue() {
+  await Promise.all(
+    translationQueue
+      .list()
+      .filter((job) => job.status === "queued" || job.status === "running")
+      .map((job) => translationQueue.wait(job.id))
+  );
+}
+
+async function widgetSource(postId) {
+  const { error, source } = await verifyPostSource(publication, postId, {
+    title: "Cached post",
+    subtitle: "A subtitle",
+    contentHtml: WIDGET_HTML,
+  });
+  assert.strictEqual(error, undefined);
+  return source;
+}
+
+test("a pre-translated post is a cache hit for the widget", async () => {
+  const summary = await runScheduler();
+  assert.strictEqual(summary.queued, publication.languages.length);
+  await drainQueue();
+
+  const source = await widgetSource("/p/cached-post");
+  for (const lang of publication.languages) {
+    assert.ok(isCached(publication, "/p/cached-post", source, lang), lang);
+  }
+});
+
+test("a post translated from Slack is a cache hit for the widget", async () => {
+  const lang = publication.languages[0];
+  const { postId, source } = await fetchJobSource(publication, "slack-post");
+  const job = submitTranslation({
+    publication,
+    postId,
+    lang,
+    source,
+    entry: "slack",
+  });
+  await translationQueue.wait(job.id);
+
+  assert.ok(
+    isCached(
+      publication,
+      "/p/slack-post",
+      await widgetSource("/p/slack-post"),
+      lang
+    )
+  );
+});
+
+test("Slack and the widget share a job for the same post", async () => {
+  const lang = publication.languages[0];
+  const fetched = await fetchJobSource(publication, "shared-post");
+  const source = await widgetSource("/p/shared-post");
+  const slackJob = submitTranslation({
+    publication,
+    lang,
+    ...fetched,
+    entry: "slack",
+  });
+  const widgetJob = submitTranslation({
+    publication,
+    postId: "/p/shared-post",
+    lang,
+    source,
+    entry: "widget",
+  });
+  assert.strictEqual(widgetJob.id, slackJob.id);
+  await translationQueue.wait(slackJob.id);
+});
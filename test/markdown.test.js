@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { renderMarkdown, renderInline } = require("../public/markdown");
+
+test("escapes markup in the model's text", () => {
+  assert.strictEqual(
+    renderInline(`<script>alert("x")</script> & 'y'`),
+    "&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;y&#39;"
+  );
+  assert.strictEqual(
+    renderMarkdown("# <b>Title</b>\n\n<img src=x onerror=alert(1)>"),
+    "<h1>&lt;b&gt;Title&lt;/b&gt;</h1>\n<p>&lt;img src=x onerror=alert(1)&gt;</p>"
+  );
+});
+
+test("escapes code spans and attributes", () => {
+  assert.strictEqual(
+    renderInline('`<i>` and [a](https://example.com/?q="x" "t<")'),
+    '<code>&lt;i&gt;</code> and <a href="https://example.com/?q=&quot;x&quot;" title="t&lt;">a</a>'
+  );
+  assert.strictEqual(
+    renderInline("[a](https://example.com/?a=1&b=2 \"Say 'hi'\")"),
+    '<a href="https://example.com/?a=1&amp;b=2" title="Say &#39;hi&#39;">a</a>'
+  );
+});
+
+test("drops links and images with unsafe schemes", () => {
+  assert.strictEqual(renderInline("[click](javascript:alert(1))"), "click");
+  assert.strictEqual(renderInline("[click](JavaScript:alert(1))"), "click");
+  assert.strictEqual(
+    renderInline("[x](data:text/html;base64,PHNjcmlwdD4=)"),
+    "x"
+  );
+  assert.strictEqual(renderInline("![alt](vbscript:msgbox)"), "alt");
+  assert.strictEqual(
+    renderInline("[mail](mailto:a@example.com) [rel](/p/hello)"),
+    '<a href="mailto:a@example.com">mail</a> <a href="/p/hello">rel</a>'
+  );
+});
+
+test("ignores placeholder characters in the input", () => {
+  assert.strictEqual(renderInline("a\u00000\u0000b `c`"), "a0b <code>c</code>");
+});
+
+test("keeps code, emphasis and images inside link labels", () => {
+  assert.strictEqual(
+    renderInline("[`foo`](https://example.com)"),
+    '<a href="https://example.com"><code>foo</code></a>'
+  );
+  assert.strictEqual(
+    renderInline("[**bold** `a<b`](https://example.com)"),
+    '<a href="https://example.com"><strong>bold</strong> <code>a&lt;b</code></a>'
+  );
+  assert.strictEqual(
+    renderInline("[![logo](/logo.png)](https://example.com)"),
+    '<a href="https://example.com"><img src="/logo.png" alt="logo"></a>'
+  );
+  assert.strictEqual(
+    renderInline("[`foo`](javascript:alert(1))"),
+    "<code>foo</code>"
+  );
+});
@@ -0,0 +1,54 @@
+process.env.TRANSLATION_STORE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createQueue } = require("../src/queue");
+
+test("wait settles once a retried job succeeds", async () => {
+  let attempts = 0;
+  const queue = createQueue({
+    name: "queue-retry",
+    run: async () => {
+      if (++attempts < 3) throw new Error(`attempt ${attempts} failed`);
+      return "done";
+    },
+    backoffMs: 0,
+  });
+  queue.start();
+
+  const job = queue.submit({});
+  assert.strictEqual(await queue.wait(job.id), "done");
+  assert.strictEqual(attempts, 3);
+});
+
+test("wait rejects once a job has run out of attempts", async () => {
+  let attempts = 0;
+  const queue = createQueue({
+    name: "queue-fail",
+    run: async () => {
+      throw new Error(`attempt ${++attempts} failed`);
+    },
+    maxAttempts: 2,
+    backoffMs: 0,
+  });
+  queue.start();
+
+  const job = queue.submit({});
+  await assert.rejects(queue.wait(job.id), /attempt 2 failed/);
+  assert.strictEqual(queue.get(job.id).status, "failed");
+});
+
+test("errors marked retryable: false reject wait on the first attempt", async () => {
+  const queue = createQueue({
+    name: "queue-final",
+    run: async () => {
+      throw Object.assign(new Error("no retry"), { retryable: false });
+    },
+    backoffMs: 0,
+  });
+  queue.start();
+
+  const job = queue.submit({});
+  await assert.rejects(queue.wait(job.id), /no retry/);
+  assert.strictEqual(queue.get(job.id).attempts, 1);
+});
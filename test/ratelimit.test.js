@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createRateLimiter } = require("../src/ratelimit");
+
+test("allows limit hits per key in a window", () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 60 * 1000 });
+  assert.strictEqual(limiter.hit("a").allowed, true);
+  assert.strictEqual(limiter.hit("a").allowed, true);
+
+  const denied = limiter.hit("a");
+  assert.strictEqual(denied.allowed, false);
+  assert.ok(denied.retryAfter > 0 && denied.retryAfter <= 60);
+
+  // Other keys have their own count
+  assert.strictEqual(limiter.hit("b").allowed, true);
+});
+
+test("starts a new window once the old one is over", async () => {
+  const limiter = createRateLimiter({ limit: 1, windowMs: 50 });
+  assert.strictEqual(limiter.hit("a").allowed, true);
+  assert.strictEqual(limiter.hit("a").allowed, false);
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.strictEqual(limiter.hit("a").allowed, true);
+});
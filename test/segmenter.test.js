@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  extractSegments,
+  reinsertSegments,
+  markSegments,
+  segmentDecoder,
+} = require("../src/segmenter");
+
+const HTML =
+  '<p>Read <a href="https://example.com/?a=1&amp;b=2" title="Say &quot;hi&quot;">the <strong>bold <em>new</em></strong> post</a>.<br>Next</p><p>Second</p>';
+
+test("nested inline markup round-trips through placeholders", () => {
+  const segments = extractSegments(HTML);
+  assert.deepStrictEqual(segments, [
+    "Read <x0>the <x1>bold <x2>new</x2></x1> post</x0>.<x3/>Next",
+    "Second",
+  ]);
+  assert.strictEqual(reinsertSegments(HTML, segments), HTML);
+
+  assert.strictEqual(
+    reinsertSegments(HTML, [
+      "Lee <x0>el <x1>nuevo <x2>post</x2></x1></x0>.<x3/>Sigue",
+      "Segundo",
+    ]),
+    '<p>Lee <a href="https://example.com/?a=1&amp;b=2" title="Say &quot;hi&quot;">el <strong>nuevo <em>post</em></strong></a>.<br>Sigue</p><p>Segundo</p>'
+  );
+});
+
+test("segments without a translation keep their text", () => {
+  assert.strictEqual(
+    reinsertSegments(HTML, [undefined, "Segundo"]),
+    HTML.replace("Second", "Segundo")
+  );
+});
+
+test("dropped, unknown and unbalanced placeholders still give valid markup", () => {
+  // The model dropped <x2> and <x3/>, and made up <x9>
+  assert.strictEqual(
+    reinsertSegments(HTML, ["Lee <x0>el <x1>post</x1></x0> y <x9>más</x9>"]),
+    '<p>Lee <a href="https://example.com/?a=1&amp;b=2" title="Say &quot;hi&quot;">el <strong>post</strong></a> y más</p><p>Second</p>'
+  );
+  // <x1> left open inside <x0>, a stray closing tag, <x0> never closed
+  assert.strictEqual(
+    reinsertSegments(HTML, ["<x0>Lee <x1>el</x0> post</x2> <x0>sigue"]),
+    '<p><a href="https://example.com/?a=1&amp;b=2" title="Say &quot;hi&quot;">Lee <strong>el</strong></a> post <a href="https://example.com/?a=1&amp;b=2" title="Say &quot;hi&quot;">sigue</a></p><p>Second</p>'
+  );
+  // Everything dropped
+  assert.strictEqual(
+    reinsertSegments(HTML, ["Lee el post</x1> y sigue"]),
+    "<p>Lee el post y sigue</p><p>Second</p>"
+  );
+});
+
+test("the model's text is escaped, not parsed", () => {
+  assert.strictEqual(
+    reinsertSegments(HTML, [
+      '<script>alert(1)</script> & <x0 onclick="x()">link</x0>',
+    ]),
+    '<p>&lt;script&gt;alert(1)&lt;/script&gt; &amp; &lt;x0 onclick="x()"&gt;link</p><p>Second</p>'
+  );
+
+  const decode = segmentDecoder(HTML);
+  assert.strictEqual(
+    decode(0, "Hola <x0>a & b</x0>"),
+    'Hola <a href="https://example.com/?a=1&amp;b=2" title="Say &quot;hi&quot;">a &amp; b</a>'
+  );
+  // Segments past the end have no elements to put back
+  assert.strictEqual(decode(5, "<x0>z</x0> <"), "&lt;x0&gt;z&lt;/x0&gt; &lt;");
+});
+
+test("markSegments numbers segments in extraction order", () => {
+  assert.strictEqual(
+    markSegments(HTML),
+    '<p><span data-nest-seg="0">Read <a href="https://example.com/?a=1&amp;b=2" title="Say &quot;hi&quot;">the <strong>bold <em>new</em></strong> post</a>.<br>Next</span></p><p><span data-nest-seg="1">Second</span></p>'
+  );
+  // Skipped subtrees and text-free runs aren't segments
+  assert.strictEqual(
+    markSegments("<div><pre>code</pre><p> 1. </p><p>Text</p></div>"),
+    '<div><pre>code</pre><p> 1. </p><p><span data-nest-seg="0">Text</span></p></div>'
+  );
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFileStore } = require("../src/store");
+
+test("file stores write changes out together, on flush", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "things.json");
+
+  const store = createFileStore(filePath);
+  store.set("a", 1);
+  store.set("b", { c: 2 });
+  store.delete("a");
+  assert.strictEqual(store.get("b").c, 2);
+  assert.strictEqual(fs.existsSync(filePath), false);
+
+  store.flush();
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), {
+    b: { c: 2 },
+  });
+  assert.deepStrictEqual(createFileStore(filePath).entries(), [
+    ["b", { c: 2 }],
+  ]);
+});
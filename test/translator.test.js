@@ -0,0 +1,75 @@
+process.env.TRANSLATION_STORE = "memory";
+process.env.TRANSLATION_PROVIDER = "mock";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  translatePost,
+  getHistory,
+  saveEditedTranslation,
+} = require("../src/translator");
+const { defaultPublication } = require("../src/publications");
+
+const publication = defaultPublication();
+const lang = publication.languages[0];
+
+function post(postId, contentHtml) {
+  return { publication, postId, lang, title: "Hello world", contentHtml };
+}
+
+test("keeps the approved version when newer ones push it out", async () => {
+  const postId = "/p/history";
+  const first = await translatePost(post(postId, "<p>Version 0.</p>"));
+  saveEditedTranslation(
+    publication,
+    postId,
+    lang,
+    first.sourceHash,
+    {},
+    "approved"
+  );
+  for (let i = 1; i <= 15; i++) {
+    await translatePost(post(postId, `<p>Version ${i}.</p>`));
+  }
+
+  const history = getHistory(publication, postId, lang);
+  assert.strictEqual(history.length, 11);
+  assert.strictEqual(history[0].source.contentHtml, "<p>Version 15.</p>");
+  assert.strictEqual(history[history.length - 1].sourceHash, first.sourceHash);
+  assert.strictEqual(history[history.length - 1].status, "approved");
+});
+
+test("replaces drafts of the same text in different markup", async () => {
+  const postId = "/p/markup";
+  await translatePost(post(postId, "<p>Same   text.</p>"));
+  await translatePost(post(postId, '<p class="x">Same text.</p>'));
+  const latest = await translatePost(
+    post(postId, "<div><p>Same text.</p></div>")
+  );
+
+  const history = getHistory(publication, postId, lang);
+  assert.deepStrictEqual(
+    history.map((v) => v.sourceHash),
+    [latest.sourceHash]
+  );
+});
+
+test("keeps an approved version of the same text in other markup", async () => {
+  const postId = "/p/markup-approved";
+  const first = await translatePost(post(postId, "<p>Same text.</p>"));
+  saveEditedTranslation(
+    publication,
+    postId,
+    lang,
+    first.sourceHash,
+    {},
+    "approved"
+  );
+  const latest = await translatePost(post(postId, "<p><b>Same</b> text.</p>"));
+
+  const history = getHistory(publication, postId, lang);
+  assert.deepStrictEqual(
+    history.map((v) => v.sourceHash),
+    [latest.sourceHash, first.sourceHash]
+  );
+});
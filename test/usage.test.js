@@ -0,0 +1,42 @@
+process.env.TRANSLATION_STORE = "memory";
+process.env.MONTHLY_BUDGET_USD = "1";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  recordCall,
+  checkBudget,
+  usageStats,
+  BudgetExceededError,
+  UnpricedModelError,
+} = require("../src/usage");
+
+const call = {
+  publication: "contenido",
+  postId: "/p/post",
+  lang: "es",
+  entry: "widget",
+  provider: "anthropic",
+  durationMs: 1000,
+};
+
+test("models without a price are refused while a budget is set", () => {
+  assert.throws(() => checkBudget("mystery-model"), UnpricedModelError);
+  checkBudget("claude-haiku-4-5-20251001");
+});
+
+test("calls not written out yet count against the budget", () => {
+  // $1 of input at $1 per million tokens
+  recordCall({
+    ...call,
+    model: "claude-haiku-4-5-20251001",
+    inputTokens: 1e6,
+    outputTokens: 0,
+  });
+  assert.throws(() => checkBudget(), BudgetExceededError);
+
+  const { budget, daily } = usageStats();
+  assert.strictEqual(budget.spentUsd, 1);
+  assert.strictEqual(budget.exceeded, true);
+  assert.strictEqual(daily.at(-1).calls, 1);
+});
@@ -0,0 +1,126 @@
+process.env.TRANSLATION_STORE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { defaultPublication } = require("../src/publications");
+const { lookupPost } = require("../src/reader");
+const { verifyPostSource } = require("../src/verify");
+
+const publication = defaultPublication();
+const COOKIE_VAR = "SUBSTACK_COOKIE_CONTENIDO";
+
+const BODY_HTML =
+  '<p>First paragraph with a <a href="https://example.com">link</a>.</p><p>Second paragraph of the post.</p>';
+const PREVIEW_HTML =
+  "<p>Free introduction about venture capital in the region.</p>";
+const PAID_HTML =
+  "<p>Paid section one with a deep analysis of seed funds.</p><p>Paid section two with numbers about founders and market size.</p><p>Paid section three with closing thoughts for members.</p>";
+
+// Substack's post API. "paid-*" posts are paid: the full text needs the
+// cookie "good", any other cookie gets the preview like anonymous readers
+global.fetch = async (url, { headers = {} } = {}) => {
+  const match = new URL(url).pathname.match(/^\/api\/v1\/posts\/([a-z0-9-]+)$/);
+  if (!match || match[1] === "missing") {
+    return new Response("Not found", { status: 404 });
+  }
+  const paid = match[1].startsWith("paid");
+  return Response.json({
+    slug: match[1],
+    title: "The post",
+    subtitle: "A subtitle",
+    audience: paid ? "only_paid" : "everyone",
+    body_html: paid
+      ? PREVIEW_HTML + (headers.Cookie === "good" ? PAID_HTML : "")
+      : BODY_HTML,
+  });
+};
+
+function submit(postId, contentHtml, title = "The post") {
+  return verifyPostSource(publication, postId, { title, contentHtml });
+}
+
+test("accepts the rendered post and hands back the fetched source", async () => {
+  const rendered =
+    '<div class="body"><p>First paragraph with a <a href="https://example.com" rel="nofollow">link</a>.</p>\n<p>Second paragraph of the post.</p></div>';
+  const { error, post, source } = await submit("/p/public", rendered);
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(post.truncated, false);
+  assert.strictEqual(source.contentHtml, BODY_HTML);
+});
+
+test("rejects other posts and other content", async () => {
+  assert.match((await submit("/about", BODY_HTML)).error, /post path/);
+  assert.strictEqual(
+    (await submit("/p/missing", BODY_HTML)).error,
+    "Unknown post"
+  );
+  assert.strictEqual(
+    (await submit("/p/public", BODY_HTML, "Another title")).error,
+    "Title does not match the post"
+  );
+  assert.strictEqual(
+    (
+      await submit(
+        "/p/public",
+        "<p>Something else entirely, written by someone.</p>"
+      )
+    ).error,
+    "Content does not match the post"
+  );
+  // The post plus a second document
+  assert.strictEqual(
+    (await submit("/p/public", BODY_HTML.repeat(2))).error,
+    "Content does not match the post"
+  );
+});
+
+test("accepts a paid post's preview without a cookie", async () => {
+  delete process.env[COOKIE_VAR];
+  const { error, post } = await submit("/p/paid-preview", PREVIEW_HTML);
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(post.truncated, true);
+});
+
+test("accepts a paid post's full text checked with the cookie", async () => {
+  process.env[COOKIE_VAR] = "good";
+  const { error, post, source } = await submit(
+    "/p/paid-full",
+    `<div>${PREVIEW_HTML}<div class="paywall"></div>${PAID_HTML}</div>`
+  );
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(post.truncated, false);
+  assert.strictEqual(source.contentHtml, PREVIEW_HTML + PAID_HTML);
+});
+
+test("rejects full text without a cookie to check it against", async () => {
+  delete process.env[COOKIE_VAR];
+  const { error } = await submit("/p/paid-nocookie", PREVIEW_HTML + PAID_HTML);
+  assert.strictEqual(error, "Subscriber-only content can't be verified");
+});
+
+test("doesn't hand out the full text for a padded preview", async () => {
+  process.env[COOKIE_VAR] = "good";
+  const { error } = await submit("/p/paid-padded", PREVIEW_HTML.repeat(5));
+  assert.strictEqual(error, "Content does not match the post");
+});
+
+test("doesn't hand out the full text for its words out of order", async () => {
+  process.env[COOKIE_VAR] = "good";
+  const shuffled = (PREVIEW_HTML + PAID_HTML)
+    .replace(/<\/?p>/g, " ")
+    .split(/\s+/)
+    .sort()
+    .join(" ");
+  const { error } = await submit("/p/paid-shuffled", `<p>${shuffled}</p>`);
+  assert.strictEqual(error, "Content does not match the post");
+});
+
+test("treats a post fetched with an expired cookie as the preview", async () => {
+  process.env[COOKIE_VAR] = "expired";
+  const post = await lookupPost(publication, "paid-expired", {
+    authenticated: true,
+  });
+  assert.strictEqual(post.truncated, true);
+  const { error } = await submit("/p/paid-expired", PREVIEW_HTML + PAID_HTML);
+  assert.strictEqual(error, "Content does not match the post");
+});